@@ -0,0 +1,70 @@
+export class AnsiColors
+{
+    // ANSI color number for each VGA color number (VGA: BGR bit order, ANSI: RGB)
+    VGA_TO_ANSI_COLOR = [0, 4, 2, 6, 1, 5, 3, 7];
+    // VGA default attribute light gray on black, mapped to the terminal's default colors
+    DEFAULT_ATTR = 0x07;
+    SGR_RESET = "\u001b[0m";
+
+    sgr_row(text, attrs, trim)
+    {
+        // return text with ANSI SGR sequences for the VGA attribute in attrs[i] for each text[i],
+        // if trim is true then drop trailing spaces that have a black background
+        if(attrs === undefined)
+        {
+            return trim ? text.trimRight() : text;
+        }
+        let end = text.length;
+        if(trim)
+        {
+            while(end > 0 && text[end - 1] === " " && !(attrs.charCodeAt(end - 1) & 0x70))
+            {
+                end--;
+            }
+        }
+        let output = [];
+        let prev_attr = this.DEFAULT_ATTR;
+        for(let i = 0; i < end; i++)
+        {
+            const attr = attrs.charCodeAt(i);
+            if(attr !== prev_attr)
+            {
+                output.push(this.sgr(attr));
+                prev_attr = attr;
+            }
+            output.push(text[i]);
+        }
+        if(prev_attr !== this.DEFAULT_ATTR)
+        {
+            output.push(this.SGR_RESET);
+        }
+        return output.join("");
+    }
+
+    sgr(attr)
+    {
+        // attribute byte: bits 0-2 foreground, bit 3 bright foreground, bits 4-6 background, bit 7 blink
+        if(attr === this.DEFAULT_ATTR)
+        {
+            return this.SGR_RESET;
+        }
+        const params = [0];
+        params.push((attr & 0x08 ? 90 : 30) + this.VGA_TO_ANSI_COLOR[attr & 0x07]);
+        params.push(40 + this.VGA_TO_ANSI_COLOR[(attr >> 4) & 0x07]);
+        if(attr & 0x80)
+        {
+            params.push(5);
+        }
+        return "\u001b[" + params.join(";") + "m";
+    }
+
+    static enabled(when)
+    {
+        // resolve -color option value never|auto|always into a boolean
+        if(when === "auto")
+        {
+            return !! process.stdout.isTTY && !("NO_COLOR" in process.env) && process.env.TERM !== "dumb";
+        }
+        return when === "always";
+    }
+}
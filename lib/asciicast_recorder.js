@@ -0,0 +1,58 @@
+import fs from "node:fs";
+
+export class AsciicastRecorder
+{
+    constructor(filename)
+    {
+        this.filename = filename;
+        this.fd = undefined;
+        this.start_time = undefined;
+    }
+
+    start()
+    {
+        if(this.fd === undefined)
+        {
+            // asciicast v2: a header line followed by one line [time, type, data] per event
+            this.fd = fs.openSync(this.filename, "w");
+            this.start_time = performance.now();
+            const header = {
+                version: 2,
+                width: process.stdout.columns || 80,
+                height: process.stdout.rows || 25,
+                timestamp: Math.floor(Date.now() / 1000),
+                env: { TERM: process.env.TERM || "xterm-256color" }
+            };
+            fs.writeSync(this.fd, JSON.stringify(header) + "\n");
+        }
+    }
+
+    stop()
+    {
+        if(this.fd !== undefined)
+        {
+            fs.closeSync(this.fd);
+            this.fd = undefined;
+        }
+    }
+
+    record_output(data)
+    {
+        // the host terminal translates "\n" into "\r\n" (ONLCR), players expect the translated output
+        this.record_event("o", data.replace(/\r?\n/g, "\r\n"));
+    }
+
+    record_input(data)
+    {
+        this.record_event("i", data);
+    }
+
+    record_event(type, data)
+    {
+        if(this.fd !== undefined)
+        {
+            const time = (performance.now() - this.start_time) / 1000;
+            fs.writeSync(this.fd, JSON.stringify([Math.round(time * 1e6) / 1e6, type, data]) + "\n");
+        }
+    }
+}
@@ -0,0 +1,70 @@
+// Unicode characters of VGA glyphs 0x80-0xFF for each supported code page
+const HIGH_GLYPHS =
+{
+    "cp437":
+        "ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒ" +
+        "áíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐" +
+        "└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀" +
+        "αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00a0",
+    "cp850":
+        "ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒ" +
+        "áíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐" +
+        "└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀" +
+        "ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00ad±‗¾¶§÷¸°¨·¹³²■\u00a0",
+    "cp852":
+        "ÇüéâäůćçłëŐőîŹÄĆÉĹĺôöĽľŚśÖÜŤťŁ×č" +
+        "áíóúĄąŽžĘę¬źČş«»░▒▓│┤ÁÂĚŞ╣║╗╝Żż┐" +
+        "└┴┬├─┼Ăă╚╔╩╦╠═╬¤đĐĎËďŇÍÎě┘┌█▄ŢŮ▀" +
+        "ÓßÔŃńňŠšŔÚŕŰýÝţ´\u00ad˝˛ˇ˘§÷¸°¨˙űŘř■\u00a0",
+    "cp858":
+        "ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒ" +
+        "áíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐" +
+        "└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈ€ÍÎÏ┘┌█▄¦Ì▀" +
+        "ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00ad±‗¾¶§÷¸°¨·¹³²■\u00a0",
+    "cp866":
+        "АБВГДЕЖЗИЙКЛМНОПРСТУФХЦЧШЩЪЫЬЭЮЯ" +
+        "абвгдежзийклмноп░▒▓│┤╡╢╖╕╣║╗╝╜╛┐" +
+        "└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀" +
+        "рстуфхцчшщъыьэюяЁёЄєЇїЎў°∙·√№¤■\u00a0"
+};
+
+export class CodePage
+{
+    static NAMES = Object.keys(HIGH_GLYPHS);
+
+    // Unicode characters of VGA glyphs 0x00-0x1F, shared by all code pages
+    // (glyph 0x00 is mapped to space since BIOS and DOS use it as a blank cell)
+    LOW_GLYPHS = " ☺☻♥♦♣♠•◘○◙♂♀♪♫☼►◄↕‼¶§▬↨↑↓→←∟↔▲▼";
+    // Unicode character of VGA glyph 0x7F
+    DEL_GLYPH = "\u2302";
+
+    constructor(name)
+    {
+        const high_glyphs = HIGH_GLYPHS[name];
+        if(high_glyphs === undefined)
+        {
+            throw new Error(`Unsupported code page: ${name}`);
+        }
+        this.name = name;
+        this.charmap = new Array(256);
+        for(let i = 0; i < 256; i++)
+        {
+            this.charmap[i] =
+                i < 0x20 ? this.LOW_GLYPHS[i] :
+                i < 0x7F ? String.fromCharCode(i) :
+                i === 0x7F ? this.DEL_GLYPH :
+                high_glyphs[i - 0x80];
+        }
+    }
+
+    translate(codes)
+    {
+        // translate string of VGA character codes into Unicode
+        let text = "";
+        for(let i = 0; i < codes.length; i++)
+        {
+            text += this.charmap[codes.charCodeAt(i)];
+        }
+        return text;
+    }
+}
@@ -0,0 +1,225 @@
+import fs from "node:fs";
+
+// sector size of the hard disk, the unit of changed data
+const BLOCK_SIZE = 512;
+
+// overlay file layout: header block, bitmap of the blocks stored in the overlay file
+// padded to whole blocks, and a sparse copy of the image holding only those blocks
+const OVERLAY_MAGIC = "V86OVL\u0000\u0001";
+const OVERLAY_HEADER_SIZE = BLOCK_SIZE;
+
+// changed blocks kept in memory before they are written back early, unless in snapshot mode (64 MiB)
+const MAX_DIRTY_BLOCKS = 131072;
+
+export class DiskImage
+{
+    // Hard disk image file that implements the interface of V86's disk buffers, pass it to
+    // V86 as option hda or hdb. The guest's reads come from the file on demand, its writes
+    // are kept in memory until flush() writes them to the image file or to the overlay file,
+    // which happens early once MAX_DIRTY_BLOCKS blocks have changed, except in snapshot mode.
+
+    constructor(file, options)
+    {
+        // image file path
+        this.file = file;
+        // optional overlay file path, the image file is only read if it is given
+        this.overlay_file = options?.overlay;
+        // if true, writes are kept in memory and discarded unless flush() is called
+        this.snapshot = !! options?.snapshot;
+        // the image file is opened for writing only when flush() writes changes back to it
+        this.fd = fs.openSync(file, "r");
+        this.writable = false;
+        this.byteLength = fs.fstatSync(this.fd).size;
+        this.block_count = Math.ceil(this.byteLength / BLOCK_SIZE);
+        this.dirty_blocks = new Map();
+        // true after writing back changes early failed, they stay in memory until the next flush()
+        this.early_flush_failed = false;
+        this.overlay = undefined;
+        this.onload = undefined;
+        this.onprogress = undefined;
+        if(this.overlay_file)
+        {
+            this.open_overlay();
+        }
+    }
+
+    open_overlay()
+    {
+        // open overlay file, or create it if it does not exist yet
+        const bitmap = new Uint8Array(Math.ceil(this.block_count / 8 / BLOCK_SIZE) * BLOCK_SIZE);
+        const header = Buffer.alloc(OVERLAY_HEADER_SIZE);
+        let fd;
+        try
+        {
+            fd = fs.openSync(this.overlay_file, "wx+");
+            header.write(OVERLAY_MAGIC, 0, "latin1");
+            header.writeBigUInt64LE(BigInt(this.byteLength), 8);
+            fs.writeSync(fd, header, 0, header.length, 0);
+            fs.ftruncateSync(fd, OVERLAY_HEADER_SIZE + bitmap.length);
+        }
+        catch(e)
+        {
+            if(e.code !== "EEXIST")
+            {
+                throw e;
+            }
+            fd = fs.openSync(this.overlay_file, "r+");
+            fs.readSync(fd, header, 0, header.length, 0);
+            if(header.toString("latin1", 0, 8) !== OVERLAY_MAGIC || header.readBigUInt64LE(8) !== BigInt(this.byteLength))
+            {
+                fs.closeSync(fd);
+                throw new Error(`Overlay file ${this.overlay_file} does not match disk image ${this.file}`);
+            }
+            fs.readSync(fd, bitmap, 0, bitmap.length, OVERLAY_HEADER_SIZE);
+        }
+        this.overlay = { fd: fd, bitmap: bitmap, data_offset: OVERLAY_HEADER_SIZE + bitmap.length };
+    }
+
+    close()
+    {
+        fs.closeSync(this.fd);
+        if(this.overlay)
+        {
+            fs.closeSync(this.overlay.fd);
+            this.overlay = undefined;
+        }
+    }
+
+    load()
+    {
+        this.onload?.({});
+    }
+
+    get(start, length, fn)
+    {
+        fn(this.read(start, length));
+    }
+
+    get_and_cache(start, length, fn)
+    {
+        this.get(start, length, fn);
+    }
+
+    get_from_cache(start, length)
+    {
+        return this.read(start, length);
+    }
+
+    set(start, data, fn)
+    {
+        // merge data into the changed blocks it overlaps
+        let pos = 0;
+        while(pos < data.length)
+        {
+            const blockid = Math.floor((start + pos) / BLOCK_SIZE);
+            const block_offset = (start + pos) % BLOCK_SIZE;
+            const count = Math.min(BLOCK_SIZE - block_offset, data.length - pos);
+            let block = this.dirty_blocks.get(blockid);
+            if(block === undefined)
+            {
+                block = this.read(blockid * BLOCK_SIZE, BLOCK_SIZE);
+                this.dirty_blocks.set(blockid, block);
+            }
+            block.set(data.subarray(pos, pos + count), block_offset);
+            pos += count;
+        }
+        if(this.dirty_blocks.size >= MAX_DIRTY_BLOCKS && !this.snapshot && !this.early_flush_failed)
+        {
+            try
+            {
+                this.flush();
+            }
+            catch(e)
+            {
+                this.early_flush_failed = true;
+            }
+        }
+        fn();
+    }
+
+    get_buffer(fn)
+    {
+        // the image is not held in memory
+        fn();
+    }
+
+    get_state()
+    {
+        // saved emulator states hold the changed blocks that were not flushed yet
+        return [[...this.dirty_blocks]];
+    }
+
+    set_state(state)
+    {
+        this.dirty_blocks = new Map(state[0]);
+    }
+
+    read(start, length)
+    {
+        // return length bytes at offset start, a block beyond the end of the image reads as zeros
+        const data = new Uint8Array(length);
+        fs.readSync(this.fd, data, 0, Math.max(0, Math.min(length, this.byteLength - start)), start);
+        const first_blockid = Math.floor(start / BLOCK_SIZE);
+        const last_blockid = Math.floor((start + length - 1) / BLOCK_SIZE);
+        for(let blockid = first_blockid; blockid <= last_blockid; blockid++)
+        {
+            let block = this.dirty_blocks.get(blockid);
+            if(block === undefined && this.overlay && this.overlay.bitmap[blockid >> 3] & 1 << (blockid & 7))
+            {
+                block = new Uint8Array(BLOCK_SIZE);
+                fs.readSync(this.overlay.fd, block, 0, BLOCK_SIZE, this.overlay.data_offset + blockid * BLOCK_SIZE);
+            }
+            if(block !== undefined)
+            {
+                // copy the part of the block that overlaps data
+                const block_start = blockid * BLOCK_SIZE;
+                const from = Math.max(start, block_start);
+                const to = Math.min(start + length, block_start + BLOCK_SIZE);
+                data.set(block.subarray(from - block_start, to - block_start), from - start);
+            }
+        }
+        return data;
+    }
+
+    flush()
+    {
+        // write changed blocks to the overlay file, or to the image file if there is none,
+        // returns the number of blocks written
+        const count = this.dirty_blocks.size;
+        if(count === 0)
+        {
+            return 0;
+        }
+        if(this.overlay)
+        {
+            for(const [blockid, block] of this.dirty_blocks)
+            {
+                fs.writeSync(this.overlay.fd, block, 0, BLOCK_SIZE, this.overlay.data_offset + blockid * BLOCK_SIZE);
+                this.overlay.bitmap[blockid >> 3] |= 1 << (blockid & 7);
+            }
+            // the bitmap is written after the blocks so that it never refers to missing blocks
+            fs.fsyncSync(this.overlay.fd);
+            fs.writeSync(this.overlay.fd, this.overlay.bitmap, 0, this.overlay.bitmap.length, OVERLAY_HEADER_SIZE);
+            fs.fsyncSync(this.overlay.fd);
+        }
+        else
+        {
+            if(!this.writable)
+            {
+                const fd = fs.openSync(this.file, "r+");
+                fs.closeSync(this.fd);
+                this.fd = fd;
+                this.writable = true;
+            }
+            for(const [blockid, block] of this.dirty_blocks)
+            {
+                const length = Math.min(BLOCK_SIZE, this.byteLength - blockid * BLOCK_SIZE);
+                fs.writeSync(this.fd, block, 0, length, blockid * BLOCK_SIZE);
+            }
+            fs.fsyncSync(this.fd);
+        }
+        this.dirty_blocks.clear();
+        this.early_flush_failed = false;
+        return count;
+    }
+}
@@ -0,0 +1,120 @@
+export class GraphicsObserver
+{
+    DEFAULT_FPS = 10;
+
+    constructor(frame_handler, mode_handler, options)
+    {
+        // frame_handler(frame) receives changed frames { width, height, pixels } with RGB pixels
+        this.frame_handler = frame_handler;
+        // mode_handler(graphical) is called when the guest switches between text and graphics mode
+        this.mode_handler = mode_handler;
+        this.frame_interval_msec = 1000 / (options?.fps || this.DEFAULT_FPS);
+        // frame_size(src_width, src_height) returns the size [width, height] of frames
+        this.frame_size = options?.frame_size || ((src_width, src_height) => [src_width, src_height]);
+        this.emulator = undefined;
+        this.timeout_h = null;
+        this.graphical = false;
+        this.last_frame = undefined;
+        this.screen_set_size = () => this.check_mode();
+    }
+
+    start(emulator)
+    {
+        if(this.emulator === undefined)
+        {
+            this.emulator = emulator;
+            this.graphical = false;
+            this.last_frame = undefined;
+            this.timeout_h = setTimeout(() => this.check_frame(), this.frame_interval_msec);
+            // check mode right away on geometry changes to switch back to text output before
+            // VgaObserver captures the first text rows
+            this.emulator.add_listener("screen-set-size", this.screen_set_size);
+        }
+    }
+
+    stop()
+    {
+        if(this.emulator !== undefined)
+        {
+            this.emulator.remove_listener("screen-set-size", this.screen_set_size);
+            clearTimeout(this.timeout_h);
+            this.emulator = undefined;
+        }
+    }
+
+    redraw()
+    {
+        // pass on the next frame even if it did not change, for example after the host screen was erased
+        this.last_frame = undefined;
+    }
+
+    check_mode()
+    {
+        const vga = this.emulator.v86?.cpu?.devices?.vga;
+        const graphical = !! vga?.graphical_mode;
+        if(graphical !== this.graphical)
+        {
+            this.graphical = graphical;
+            this.last_frame = undefined;
+            this.mode_handler(graphical);
+        }
+        return graphical ? vga : undefined;
+    }
+
+    check_frame()
+    {
+        const vga = this.check_mode();
+        if(vga)
+        {
+            // let V86 render the current frame into its framebuffer
+            vga.screen_fill_buffer();
+            if(vga.image_data && vga.screen_width && vga.screen_height)
+            {
+                const src_width = Math.min(vga.screen_width, vga.virtual_width);
+                const src_height = Math.min(vga.screen_height, vga.virtual_height);
+                const [width, height] = this.frame_size(src_width, src_height);
+                const pixels = this.downscale(vga.image_data.data, vga.virtual_width, src_width, src_height, width, height);
+                if(!this.last_frame || this.last_frame.width !== width || this.last_frame.height !== height ||
+                    !Buffer.from(pixels.buffer).equals(Buffer.from(this.last_frame.pixels.buffer)))
+                {
+                    this.last_frame = { width: width, height: height, pixels: pixels };
+                    this.frame_handler(this.last_frame);
+                }
+            }
+        }
+
+        this.timeout_h = setTimeout(() => this.check_frame(), this.frame_interval_msec);
+    }
+
+    downscale(data, stride, src_width, src_height, width, height)
+    {
+        // scale RGBA image data[] of size src_width x src_height down to width x height RGB pixels,
+        // each pixel is the average of its source area
+        const pixels = new Uint8Array(width * height * 3);
+        for(let y = 0, i_pixel = 0; y < height; y++)
+        {
+            const y0 = Math.floor(y * src_height / height);
+            const y1 = Math.max(y0 + 1, Math.floor((y + 1) * src_height / height));
+            for(let x = 0; x < width; x++)
+            {
+                const x0 = Math.floor(x * src_width / width);
+                const x1 = Math.max(x0 + 1, Math.floor((x + 1) * src_width / width));
+                let r = 0, g = 0, b = 0;
+                for(let src_y = y0; src_y < y1; src_y++)
+                {
+                    for(let i_src = (src_y * stride + x0) * 4, src_x = x0; src_x < x1; src_x++, i_src += 4)
+                    {
+                        r += data[i_src];
+                        g += data[i_src + 1];
+                        b += data[i_src + 2];
+                    }
+                }
+                const count = (y1 - y0) * (x1 - x0);
+                pixels[i_pixel++] = r / count;
+                pixels[i_pixel++] = g / count;
+                pixels[i_pixel++] = b / count;
+            }
+        }
+        return pixels;
+    }
+}
@@ -0,0 +1,22 @@
+export { AnsiColors } from "./ansi_colors.js";
+export { AsciicastRecorder } from "./asciicast_recorder.js";
+export { CodePage } from "./code_page.js";
+export { DiskImage } from "./disk_image.js";
+export { GraphicsObserver } from "./graphics_observer.js";
+export { key_code, parse_key_chord } from "./key_chord.js";
+export { KeyDecoder } from "./key_decoder.js";
+export { KeyboardLayout } from "./keyboard_layout.js";
+export { Local9pServer } from "./local_9p_server.js";
+export { Monitor } from "./monitor.js";
+export { RemoteServer } from "./remote_server.js";
+export { ScreenDump } from "./screen_dump.js";
+export { diff_screens } from "./screen_diff.js";
+export { ScriptRunner } from "./script_runner.js";
+export { SerialConsole } from "./serial_console.js";
+export { Vga2TtySession } from "./session.js";
+export { StatusBar } from "./status_bar.js";
+export { StdinHandler } from "./stdin_handler.js";
+export { TranscriptLogger } from "./transcript_logger.js";
+export { TtyWriter } from "./tty_writer.js";
+export { VgaObserver } from "./vga_observer.js";
+export { VirtualNetwork } from "./virtual_network.js";
@@ -0,0 +1,63 @@
+// KeyboardEvent codes of key names that may be used in key chords
+const KEY_ALIASES =
+{
+    "ctrl":      "ControlLeft",
+    "control":   "ControlLeft",
+    "alt":       "AltLeft",
+    "altgr":     "AltRight",
+    "shift":     "ShiftLeft",
+    "meta":      "MetaLeft",
+    "space":     "Space",
+    "backspace": "Backspace",
+    "esc":       "Escape",
+    "escape":    "Escape",
+    "enter":     "Enter",
+    "return":    "Enter",
+    "tab":       "Tab",
+    "up":        "ArrowUp",
+    "down":      "ArrowDown",
+    "right":     "ArrowRight",
+    "left":      "ArrowLeft",
+    "home":      "Home",
+    "insert":    "Insert",
+    "del":       "Delete",
+    "delete":    "Delete",
+    "end":       "End",
+    "pageup":    "PageUp",
+    "pagedown":  "PageDown"
+};
+
+export function key_code(key)
+{
+    // return KeyboardEvent code of key given by code or alias name, or undefined
+    const alias = KEY_ALIASES[key.toLowerCase()];
+    if(alias !== undefined)
+    {
+        return alias;
+    }
+    else if(/^[a-z]$/i.test(key))
+    {
+        return "Key" + key.toUpperCase();
+    }
+    else if(/^[0-9]$/.test(key))
+    {
+        return "Digit" + key;
+    }
+    else if(/^f([1-9]|1[0-2])$/i.test(key))
+    {
+        return key.toUpperCase();
+    }
+    else if(/^[A-Z][A-Za-z0-9]+$/.test(key))
+    {
+        // assume key is a KeyboardEvent code like "ArrowUp" or "KeyA"
+        return key;
+    }
+    return undefined;
+}
+
+export function parse_key_chord(chord)
+{
+    // return array of KeyboardEvent codes of chord like "ctrl+alt+del", or undefined if chord is invalid
+    const codes = chord.split("+").map(key => key_code(key.trim()));
+    return codes.includes(undefined) ? undefined : codes;
+}
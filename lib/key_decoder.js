@@ -0,0 +1,291 @@
+// KeyboardEvent codes of the final characters of CSI and SS3 sequences
+const FINAL_CODES =
+{
+    "A": "ArrowUp",
+    "B": "ArrowDown",
+    "C": "ArrowRight",
+    "D": "ArrowLeft",
+    "E": "Numpad5",
+    "F": "End",
+    "H": "Home",
+    "P": "F1",
+    "Q": "F2",
+    "R": "F3",
+    "S": "F4"
+};
+
+// KeyboardEvent codes of the numbers of "CSI number ~" sequences
+const TILDE_CODES =
+{
+    1:  "Home",
+    2:  "Insert",
+    3:  "Delete",
+    4:  "End",
+    5:  "PageUp",
+    6:  "PageDown",
+    7:  "Home",
+    8:  "End",
+    11: "F1",
+    12: "F2",
+    13: "F3",
+    14: "F4",
+    15: "F5",
+    17: "F6",
+    18: "F7",
+    19: "F8",
+    20: "F9",
+    21: "F10",
+    23: "F11",
+    24: "F12"
+};
+
+// KeyboardEvent codes of the keypad in application mode ("SS3 char" sequences)
+const KEYPAD_CODES =
+{
+    "M": "NumpadEnter",
+    "X": "NumpadEqual",
+    "j": "NumpadMultiply",
+    "k": "NumpadAdd",
+    "l": "NumpadComma",
+    "m": "NumpadSubtract",
+    "n": "NumpadDecimal",
+    "o": "NumpadDivide",
+    "p": "Numpad0",
+    "q": "Numpad1",
+    "r": "Numpad2",
+    "s": "Numpad3",
+    "t": "Numpad4",
+    "u": "Numpad5",
+    "v": "Numpad6",
+    "w": "Numpad7",
+    "x": "Numpad8",
+    "y": "Numpad9"
+};
+
+// KeyboardEvent codes of control characters that are keys of their own
+const CONTROL_CODES =
+{
+    "\u0008": "Backspace",
+    "\u0009": "Tab",
+    "\u000a": "Enter",
+    "\u000d": "Enter",
+    "\u001b": "Escape",
+    "\u007f": "Backspace"
+};
+
+// characters typed together with CTRL for the remaining control characters 0x1c to 0x1f
+const CONTROL_CHARS = "\\]^_";
+
+// bracketed paste mode encloses pasted text in these sequences
+const PASTE_START = "\u001b[200~";
+const PASTE_END = "\u001b[201~";
+
+// modifier keys of rxvt's final characters "$", "^" and "@"
+const RXVT_MODIFIERS =
+{
+    "$": { shift: true },
+    "^": { ctrl: true },
+    "@": { ctrl: true, shift: true }
+};
+
+export class KeyDecoder
+{
+    // Splits input from a terminal into keys, each key is an object with properties:
+    //
+    //   sequence   the characters of the key as received from the terminal
+    //   code       KeyboardEvent code of a non-character key like "ArrowUp" or "F5"
+    //   char       the character of a character key
+    //   shift, alt, ctrl, meta
+    //              true if the modifier key was held down
+    //   custom     true if sequence is one of the custom sequences
+    //   paste      the text of a bracketed paste, it is not split into keys
+    //   mouse      SGR mouse report { button, x, y, release }, button has xterm's bits for
+    //              the button (0 to 3), modifiers, motion (32) and wheel (64), x and y count from 1
+    //
+    // Sequences that cannot be decoded have neither code nor char.
+
+    constructor(custom_sequences)
+    {
+        // custom sequences take precedence over the built-in ones, longest first
+        this.custom_sequences = [...(custom_sequences || [])].sort((a, b) => b.length - a.length);
+        // text of a bracketed paste that has not ended yet, undefined outside of pastes
+        this.paste = undefined;
+    }
+
+    decode(data)
+    {
+        // return array of keys found in string data, a paste may continue in the next data
+        const keys = [];
+        let pos = 0;
+        while(pos < data.length)
+        {
+            if(this.paste !== undefined)
+            {
+                // the end sequence may have been split between two data chunks
+                const search_start = Math.max(0, this.paste.length - PASTE_END.length + 1);
+                this.paste += data.slice(pos);
+                const end = this.paste.indexOf(PASTE_END, search_start);
+                if(end === -1)
+                {
+                    break;
+                }
+                const paste = this.paste.slice(0, end);
+                keys.push({ sequence: PASTE_START + paste + PASTE_END, paste: paste });
+                data = this.paste.slice(end + PASTE_END.length);
+                pos = 0;
+                this.paste = undefined;
+                continue;
+            }
+            else if(data.startsWith(PASTE_START, pos))
+            {
+                this.paste = "";
+                pos += PASTE_START.length;
+                continue;
+            }
+            const key = this.decode_key(data, pos);
+            keys.push(key);
+            pos += key.sequence.length;
+        }
+        return keys;
+    }
+
+    decode_key(data, pos)
+    {
+        const custom_sequence = this.custom_sequences.find(sequence => data.startsWith(sequence, pos));
+        if(custom_sequence !== undefined)
+        {
+            return { sequence: custom_sequence, custom: true };
+        }
+        const chr = String.fromCodePoint(data.codePointAt(pos));
+        if(chr === "\u001b" && pos + 1 < data.length)
+        {
+            const next_chr = data[pos + 1];
+            if(next_chr === "[" && pos + 2 < data.length)
+            {
+                return this.decode_csi(data, pos);
+            }
+            else if(next_chr === "O" && pos + 2 < data.length)
+            {
+                return this.decode_ss3(data, pos);
+            }
+            // ESC prefix of a key pressed together with ALT
+            const key = this.decode_key(data, pos + 1);
+            key.sequence = chr + key.sequence;
+            key.alt = true;
+            return key;
+        }
+        else if(CONTROL_CODES[chr] !== undefined)
+        {
+            return { sequence: chr, code: CONTROL_CODES[chr] };
+        }
+        else if(chr === "\u0000")
+        {
+            return { sequence: chr, code: "Space", ctrl: true };
+        }
+        else if(chr < "\u001b")
+        {
+            return { sequence: chr, char: String.fromCharCode(chr.charCodeAt(0) + 0x60), ctrl: true };
+        }
+        else if(chr < " ")
+        {
+            return { sequence: chr, char: CONTROL_CHARS[chr.charCodeAt(0) - 0x1c], ctrl: true };
+        }
+        return { sequence: chr, char: chr };
+    }
+
+    decode_csi(data, pos)
+    {
+        // "ESC [ params final", with the Linux console's F1 to F5 as "ESC [ [ A" to "ESC [ [ E"
+        const match = data.slice(pos).match(/^\u001b\[(\[[A-E]|[\x30-\x3f]*(?:\$|[\x20-\x2f]*[\x40-\x7e])?)/);
+        const sequence = match[0];
+        const body = match[1];
+        if(/^\[[A-E]$/.test(body))
+        {
+            return { sequence: sequence, code: "F" + (body.charCodeAt(1) - 0x40) };
+        }
+        const final = body.slice(-1);
+        const mouse_match = body.match(/^<(\d+);(\d+);(\d+)([Mm])$/);
+        if(mouse_match)
+        {
+            // "CSI < button ; x ; y M" of a button press or motion, "m" of a button release
+            const [button, x, y] = mouse_match.slice(1, 4).map(param => parseInt(param, 10));
+            return { sequence: sequence, mouse: { button: button, x: x, y: y, release: mouse_match[4] === "m" } };
+        }
+        const params = body.slice(0, -1).split(";").map(param => parseInt(param, 10));
+        if(final === "~" || RXVT_MODIFIERS[final] !== undefined)
+        {
+            const code = TILDE_CODES[params[0]];
+            if(code !== undefined)
+            {
+                return { sequence: sequence, code: code, ...this.decode_modifiers(params[1]), ...RXVT_MODIFIERS[final] };
+            }
+        }
+        else if(final === "u" && params[0] > 0)
+        {
+            // "CSI codepoint ; modifiers u" of the fixterms/kitty protocol
+            const key = this.decode_key(String.fromCodePoint(params[0]), 0);
+            return { ...key, sequence: sequence, ...this.decode_modifiers(params[1]) };
+        }
+        else if(final === "Z")
+        {
+            return { sequence: sequence, code: "Tab", shift: true };
+        }
+        else if(FINAL_CODES[final] !== undefined && (body.length === 1 || params[0] === 1))
+        {
+            return { sequence: sequence, code: FINAL_CODES[final], ...this.decode_modifiers(params[1]) };
+        }
+        else if(/^[a-d]$/.test(final) && body.length === 1)
+        {
+            // rxvt's SHIFT+arrow keys
+            return { sequence: sequence, code: FINAL_CODES[final.toUpperCase()], shift: true };
+        }
+        return { sequence: sequence };
+    }
+
+    decode_ss3(data, pos)
+    {
+        // "ESC O [modifiers] final"
+        const match = data.slice(pos).match(/^\u001bO([0-9]*)(.?)/su);
+        const sequence = match[0];
+        const final = match[2];
+        const modifiers = this.decode_modifiers(parseInt(match[1], 10));
+        if(FINAL_CODES[final] !== undefined)
+        {
+            return { sequence: sequence, code: FINAL_CODES[final], ...modifiers };
+        }
+        else if(KEYPAD_CODES[final] !== undefined)
+        {
+            return { sequence: sequence, code: KEYPAD_CODES[final], ...modifiers };
+        }
+        else if(/^[a-d]$/.test(final))
+        {
+            // rxvt's CTRL+arrow keys
+            return { sequence: sequence, code: FINAL_CODES[final.toUpperCase()], ctrl: true };
+        }
+        return { sequence: sequence };
+    }
+
+    decode_modifiers(param)
+    {
+        // xterm's modifier parameter is 1 plus the sum of SHIFT=1, ALT=2, CTRL=4 and META=8
+        const bits = param > 1 ? param - 1 : 0;
+        const modifiers = {};
+        if(bits & 1)
+        {
+            modifiers.shift = true;
+        }
+        if(bits & 2)
+        {
+            modifiers.alt = true;
+        }
+        if(bits & 4)
+        {
+            modifiers.ctrl = true;
+        }
+        if(bits & 8)
+        {
+            modifiers.meta = true;
+        }
+        return modifiers;
+    }
+}
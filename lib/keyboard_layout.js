@@ -0,0 +1,164 @@
+// KeyboardEvent codes of the character keys of a PC keyboard, row by row
+const KEY_ROWS =
+[
+    ["Backquote", "Digit1", "Digit2", "Digit3", "Digit4", "Digit5", "Digit6", "Digit7", "Digit8", "Digit9", "Digit0", "Minus", "Equal"],
+    ["KeyQ", "KeyW", "KeyE", "KeyR", "KeyT", "KeyY", "KeyU", "KeyI", "KeyO", "KeyP", "BracketLeft", "BracketRight", "Backslash"],
+    ["KeyA", "KeyS", "KeyD", "KeyF", "KeyG", "KeyH", "KeyJ", "KeyK", "KeyL", "Semicolon", "Quote"],
+    ["IntlBackslash", "KeyZ", "KeyX", "KeyC", "KeyV", "KeyB", "KeyN", "KeyM", "Comma", "Period", "Slash"]
+];
+
+// modifier keys of the layout levels
+const LEVEL_MODIFIERS =
+{
+    "normal":      [],
+    "shift":       ["ShiftLeft"],
+    "altgr":       ["AltRight"],
+    "altgr_shift": ["AltRight", "ShiftLeft"]
+};
+
+// spacing accents of the combining marks that dead keys can produce
+const COMBINING_ACCENTS =
+{
+    "\u0300": "`",
+    "\u0301": "´",
+    "\u0302": "^",
+    "\u0303": "~",
+    "\u0308": "¨"
+};
+
+const SWEDISH =
+{
+    normal:      ["§1234567890+´", "qwertyuiopå¨'", "asdfghjklöä", "<zxcvbnm,.-"],
+    shift:       ["½!\"#¤%&/()=?`", "QWERTYUIOPÅ^*", "ASDFGHJKLÖÄ", ">ZXCVBNM;:_"],
+    altgr:       ["  @£$€ {[]}\\ ", "  €        ~ ", "           ", "|      µ   "],
+    dead:        "´`¨^~"
+};
+
+// characters of each key in KEY_ROWS per layout level, a space marks an unused key
+const LAYOUTS =
+{
+    "us":
+    {
+        normal:      ["`1234567890-=", "qwertyuiop[]\\", "asdfghjkl;'", " zxcvbnm,./"],
+        shift:       ["~!@#$%^&*()_+", "QWERTYUIOP{}|", "ASDFGHJKL:\"", " ZXCVBNM<>?"]
+    },
+    "uk":
+    {
+        normal:      ["`1234567890-=", "qwertyuiop[]#", "asdfghjkl;'", "\\zxcvbnm,./"],
+        shift:       ["¬!\"£$%^&*()_+", "QWERTYUIOP{}~", "ASDFGHJKL:@", "|ZXCVBNM<>?"],
+        altgr:       ["¦   €        ", "  é   úíó    ", "á          ", "           "]
+    },
+    "de":
+    {
+        normal:      ["^1234567890ß´", "qwertzuiopü+#", "asdfghjklöä", "<yxcvbnm,.-"],
+        shift:       ["°!\"§$%&/()=?`", "QWERTZUIOPÜ*'", "ASDFGHJKLÖÄ", ">YXCVBNM;:_"],
+        altgr:       ["  ²³   {[]}\\ ", "@ €        ~ ", "           ", "|      µ   "],
+        dead:        "^´`"
+    },
+    "ch":
+    {
+        normal:      ["§1234567890'^", "qwertzuiopü¨$", "asdfghjklöä", "<yxcvbnm,.-"],
+        shift:       ["°+\"*ç%&/()=?`", "QWERTZUIOPè!£", "ASDFGHJKLéà", ">YXCVBNM;:_"],
+        altgr:       [" ¦@#°§¬|¢  ´~", "  €       []}", "          {", "\\          "],
+        dead:        "^`´¨~"
+    },
+    "fr":
+    {
+        normal:      ["²&é\"'(-è_çà)=", "azertyuiop^$*", "qsdfghjklmù", "<wxcvbn,;:!"],
+        shift:       [" 1234567890°+", "AZERTYUIOP¨£µ", "QSDFGHJKLM%", ">WXCVBN?./§"],
+        altgr:       ["  ~#{[|`\\^@]}", "  €        ¤ ", "           ", "           "],
+        dead:        "^¨~`"
+    },
+    "es":
+    {
+        normal:      ["º1234567890'¡", "qwertyuiop`+ç", "asdfghjklñ´", "<zxcvbnm,.-"],
+        shift:       ["ª!\"·$%&/()=?¿", "QWERTYUIOP^*Ç", "ASDFGHJKLÑ¨", ">ZXCVBNM;:_"],
+        altgr:       ["\\|@#~€¬      ", "  €       []}", "          {", "           "],
+        dead:        "`^´¨"
+    },
+    "it":
+    {
+        normal:      ["\\1234567890'ì", "qwertyuiopè+ù", "asdfghjklòà", "<zxcvbnm,.-"],
+        shift:       ["|!\"£$%&/()=?^", "QWERTYUIOPé*§", "ASDFGHJKLç°", ">ZXCVBNM;:_"],
+        altgr:       ["             ", "  €       [] ", "         @#", "           "],
+        altgr_shift: ["             ", "          {} ", "           ", "           "]
+    },
+    "pt":
+    {
+        normal:      ["\\1234567890'«", "qwertyuiop+´~", "asdfghjklçº", "<zxcvbnm,.-"],
+        shift:       ["|!\"#$%&/()=?»", "QWERTYUIOP*`^", "ASDFGHJKLÇª", ">ZXCVBNM;:_"],
+        altgr:       ["  @£§  {[]}  ", "  €       ¨  ", "           ", "           "],
+        dead:        "´`~^¨"
+    },
+    "se": SWEDISH,
+    "fi": SWEDISH,
+    "no":
+    {
+        normal:      ["|1234567890+\\", "qwertyuiopå¨'", "asdfghjkløæ", "<zxcvbnm,.-"],
+        shift:       ["§!\"#¤%&/()=?`", "QWERTYUIOPÅ^*", "ASDFGHJKLØÆ", ">ZXCVBNM;:_"],
+        altgr:       ["  @£$€ {[]} ´", "  €        ~ ", "           ", "           "],
+        dead:        "`´¨^~"
+    },
+    "dk":
+    {
+        normal:      ["½1234567890+´", "qwertyuiopå¨'", "asdfghjklæø", "<zxcvbnm,.-"],
+        shift:       ["§!\"#¤%&/()=?`", "QWERTYUIOPÅ^*", "ASDFGHJKLÆØ", ">ZXCVBNM;:_"],
+        altgr:       ["  @£$€ {[]}| ", "  €        ~ ", "           ", "\\      µ   "],
+        dead:        "´`¨^~"
+    },
+    "pl":
+    {
+        normal:      ["`1234567890-=", "qwertyuiop[]\\", "asdfghjkl;'", " zxcvbnm,./"],
+        shift:       ["~!@#$%^&*()_+", "QWERTYUIOP{}|", "ASDFGHJKL:\"", " ZXCVBNM<>?"],
+        altgr:       ["             ", "  ę     ó    ", "ąś      ł  ", " żźć  ń    "],
+        altgr_shift: ["             ", "  Ę     Ó    ", "ĄŚ      Ł  ", " ŻŹĆ  Ń    "]
+    }
+};
+
+export class KeyboardLayout
+{
+    static NAMES = Object.keys(LAYOUTS);
+
+    constructor(name)
+    {
+        const layout = LAYOUTS[name];
+        if(layout === undefined)
+        {
+            throw new Error(`Unsupported keyboard layout: ${name}`);
+        }
+        this.name = name;
+        this.dead_keys = layout.dead || "";
+        // map of character to the KeyboardEvent codes of the key chord that types it
+        this.charmap = new Map([[" ", ["Space"]]]);
+        for(const [level, modifiers] of Object.entries(LEVEL_MODIFIERS))
+        {
+            layout[level]?.forEach((row_chars, rowid) => {
+                [...row_chars].forEach((chr, colid) => {
+                    if(chr !== " " && !this.charmap.has(chr))
+                    {
+                        this.charmap.set(chr, [...modifiers, KEY_ROWS[rowid][colid]]);
+                    }
+                });
+            });
+        }
+    }
+
+    char_chords(chr)
+    {
+        // return list of key chords that type chr, or undefined if this layout cannot type chr
+        const chord = this.charmap.get(chr);
+        if(chord !== undefined)
+        {
+            // a dead key types its own character when it is followed by a space
+            return this.dead_keys.includes(chr) ? [chord, ["Space"]] : [chord];
+        }
+        // try to compose chr from a dead key followed by its base character
+        const [base, mark, ...rest] = chr.normalize("NFD");
+        const accent = COMBINING_ACCENTS[mark];
+        if(accent !== undefined && rest.length === 0 && this.dead_keys.includes(accent) && this.charmap.has(base))
+        {
+            return [this.charmap.get(accent), this.charmap.get(base)];
+        }
+        return undefined;
+    }
+}
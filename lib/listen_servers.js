@@ -0,0 +1,17 @@
+export async function listen_servers(servers, listeners)
+{
+    // let each { server, port, host } of listeners listen one after the other, rejects with the error of the
+    // first one that cannot listen. The servers are added to array servers before they listen, so that the
+    // caller can close all of them after an error.
+    for(const { server, port, host } of listeners)
+    {
+        servers.push(server);
+        await new Promise((resolve, reject) => {
+            server.once("error", reject);
+            server.listen(port, host, () => {
+                server.off("error", reject);
+                resolve();
+            });
+        });
+    }
+}
@@ -0,0 +1,661 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// 9P2000.L message types, each reply type is its request type plus one
+const T =
+{
+    statfs:     8,
+    lopen:      12,
+    lcreate:    14,
+    symlink:    16,
+    rename:     20,
+    readlink:   22,
+    getattr:    24,
+    setattr:    26,
+    xattrwalk:  30,
+    readdir:    40,
+    fsync:      50,
+    lock:       52,
+    getlock:    54,
+    link:       70,
+    mkdir:      72,
+    renameat:   74,
+    unlinkat:   76,
+    version:    100,
+    attach:     104,
+    flush:      108,
+    walk:       110,
+    read:       116,
+    write:      118,
+    clunk:      120,
+    remove:     122
+};
+const RLERROR = 7;
+
+// requests that modify the shared directory, refused with EROFS if it is read-only
+const WRITE_REQUESTS = [T.lcreate, T.symlink, T.rename, T.setattr, T.link, T.mkdir, T.renameat, T.unlinkat, T.write, T.remove];
+
+// Linux errno values of Node's error codes, the guest expects them regardless of the host OS
+const ERRNO =
+{
+    EPERM: 1, ENOENT: 2, EIO: 5, EBADF: 9, EAGAIN: 11, ENOMEM: 12, EACCES: 13, EBUSY: 16, EEXIST: 17,
+    EXDEV: 18, ENOTDIR: 20, EISDIR: 21, EINVAL: 22, EMFILE: 24, EFBIG: 27, ENOSPC: 28, EROFS: 30,
+    EMLINK: 31, ENAMETOOLONG: 36, ENOTEMPTY: 39, ELOOP: 40, EOPNOTSUPP: 95
+};
+
+// Linux open() flags in Tlopen and Tlcreate requests
+const O_ACCMODE = 0o3;
+const O_CREAT = 0o100;
+const O_EXCL = 0o200;
+const O_TRUNC = 0o1000;
+
+// Tsetattr valid bits
+const SETATTR_MODE = 0x1;
+const SETATTR_UID = 0x2;
+const SETATTR_GID = 0x4;
+const SETATTR_SIZE = 0x8;
+const SETATTR_ATIME = 0x10;
+const SETATTR_MTIME = 0x20;
+const SETATTR_ATIME_SET = 0x80;
+const SETATTR_MTIME_SET = 0x100;
+
+// V86's virtio-9p device has a fixed mount tag length of 6 bytes, shorter tags are padded with NUL
+const MOUNT_TAG_LENGTH = 6;
+
+// largest message size, the same as V86's built-in 9p server
+const MAX_MSIZE = 8192;
+
+class P9Error extends Error
+{
+    constructor(code)
+    {
+        super(code);
+        this.code = code;
+    }
+}
+
+class MessageReader
+{
+    constructor(buf)
+    {
+        this.buf = buf;
+        this.view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+        this.offset = 0;
+    }
+
+    u8()  { return this.view.getUint8((this.offset += 1) - 1); }
+    u16() { return this.view.getUint16((this.offset += 2) - 2, true); }
+    u32() { return this.view.getUint32((this.offset += 4) - 4, true); }
+    u64() { return Number(this.view.getBigUint64((this.offset += 8) - 8, true)); }
+
+    str()
+    {
+        const length = this.u16();
+        return Buffer.from(this.bytes(length)).toString("utf8");
+    }
+
+    bytes(length)
+    {
+        this.offset += length;
+        return this.buf.subarray(this.offset - length, this.offset);
+    }
+}
+
+class MessageWriter
+{
+    constructor()
+    {
+        this.parts = [];
+    }
+
+    u8(value)  { this.parts.push(Buffer.from([value])); return this; }
+    u16(value) { const b = Buffer.alloc(2); b.writeUInt16LE(value); this.parts.push(b); return this; }
+    u32(value) { const b = Buffer.alloc(4); b.writeUInt32LE(value >>> 0); this.parts.push(b); return this; }
+    u64(value) { const b = Buffer.alloc(8); b.writeBigUInt64LE(BigInt(value)); this.parts.push(b); return this; }
+
+    str(value)
+    {
+        const bytes = Buffer.from(value, "utf8");
+        return this.u16(bytes.length).bytes(bytes);
+    }
+
+    bytes(value)
+    {
+        this.parts.push(Buffer.from(value.buffer, value.byteOffset, value.byteLength));
+        return this;
+    }
+
+    qid(stats)
+    {
+        // qid type (directory 0x80, symlink 0x02, file 0x00), version and unique path of a file
+        const type = stats.isDirectory() ? 0x80 : stats.isSymbolicLink() ? 0x02 : 0x00;
+        return this.u8(type).u32(0).u64(stats.ino);
+    }
+
+    get length()
+    {
+        return this.parts.reduce((length, part) => length + part.length, 0);
+    }
+
+    message(type, tag)
+    {
+        // return complete message with header size[4] type[1] tag[2]
+        const header = Buffer.alloc(7);
+        header.writeUInt32LE(7 + this.length, 0);
+        header.writeUInt8(type, 4);
+        header.writeUInt16LE(tag, 5);
+        return new Uint8Array(Buffer.concat([header, ...this.parts]));
+    }
+}
+
+export class Local9pServer
+{
+    // Serves a host directory to the guest's virtio-9p device using the 9P2000.L protocol, attach
+    // it with V86 option filesystem: { handle9p: (reqbuf, reply) => server.handle_message(reqbuf, reply) }
+    // and mount it in the guest with: mount -t 9p -o trans=virtio,version=9p2000.L TAG /mnt
+
+    constructor(root, options)
+    {
+        // host directory to share
+        this.root = path.resolve(root);
+        if(!fs.statSync(this.root).isDirectory())
+        {
+            throw new Error(`Not a directory: ${root}`);
+        }
+        // the shared directory itself may be reached through a symlink
+        this.real_root = fs.realpathSync(this.root);
+        // mount tag of the shared directory in the guest (default: host9p)
+        this.mount_tag = options?.mount_tag || "host9p";
+        if(Buffer.byteLength(this.mount_tag) > MOUNT_TAG_LENGTH)
+        {
+            throw new Error(`Invalid mount tag: ${this.mount_tag}, at most ${MOUNT_TAG_LENGTH} characters`);
+        }
+        // if true, the guest cannot modify the shared directory
+        this.readonly = !! options?.readonly;
+        this.emulator = undefined;
+        this.msize = MAX_MSIZE;
+        this.fids = new Map();
+    }
+
+    start(emulator)
+    {
+        if(this.emulator === undefined)
+        {
+            this.emulator = emulator;
+            // the guest reads the mount tag when its driver probes the device, after the emulator started
+            const tagname = this.emulator.v86?.cpu?.devices?.virtio_9p?.configspace_tagname;
+            if(tagname)
+            {
+                const bytes = Buffer.from(this.mount_tag);
+                for(let i = 0; i < MOUNT_TAG_LENGTH; i++)
+                {
+                    tagname[i] = bytes[i] || 0;
+                }
+            }
+        }
+    }
+
+    stop()
+    {
+        for(const fid of this.fids.keys())
+        {
+            this.clunk(fid);
+        }
+        this.emulator = undefined;
+    }
+
+    handle_message(reqbuf, reply)
+    {
+        // handle 9p request message reqbuf and pass the reply message to reply(replybuf)
+        const req = new MessageReader(reqbuf);
+        req.u32();
+        const type = req.u8();
+        const tag = req.u16();
+        let replybuf;
+        try
+        {
+            if(this.readonly && WRITE_REQUESTS.includes(type))
+            {
+                throw new P9Error("EROFS");
+            }
+            replybuf = this.handle_request(type, req).message(type + 1, tag);
+        }
+        catch(e)
+        {
+            replybuf = new MessageWriter().u32(ERRNO[e.code] || ERRNO.EIO).message(RLERROR, tag);
+        }
+        reply(replybuf);
+    }
+
+    handle_request(type, req)
+    {
+        // return MessageWriter with the body of the reply to request req of type type
+        const res = new MessageWriter();
+        switch(type)
+        {
+            case T.version:
+            {
+                this.msize = Math.min(req.u32(), MAX_MSIZE);
+                const version = req.str();
+                for(const fid of this.fids.keys())
+                {
+                    this.clunk(fid);
+                }
+                return res.u32(this.msize).str(version === "9P2000.L" ? version : "unknown");
+            }
+            case T.attach:
+            {
+                const fid = req.u32();
+                this.fids.set(fid, { path: this.root });
+                return res.qid(fs.lstatSync(this.root));
+            }
+            case T.walk:
+            {
+                const fid = req.u32();
+                const newfid = req.u32();
+                const names = Array.from({ length: req.u16() }, () => req.str());
+                const qids = new MessageWriter();
+                let file_path = this.get_fid(fid).path;
+                let nwqid = 0;
+                for(const name of names)
+                {
+                    if(!fs.lstatSync(file_path).isDirectory())
+                    {
+                        // never walk through symlinks, they might lead outside of the shared directory
+                        if(nwqid === 0)
+                        {
+                            throw new P9Error("ENOTDIR");
+                        }
+                        break;
+                    }
+                    const next_path = name === ".." ? this.parent_path(file_path) : this.child_path(file_path, name);
+                    let stats;
+                    try
+                    {
+                        stats = fs.lstatSync(next_path);
+                    }
+                    catch(e)
+                    {
+                        // a walk that fails after the first name returns the qids walked so far
+                        if(nwqid === 0)
+                        {
+                            throw e;
+                        }
+                        break;
+                    }
+                    qids.qid(stats);
+                    file_path = next_path;
+                    nwqid++;
+                }
+                if(nwqid === names.length)
+                {
+                    if(newfid !== fid)
+                    {
+                        this.clunk(newfid);
+                        this.fids.set(newfid, {});
+                    }
+                    this.fids.get(newfid).path = file_path;
+                }
+                return res.u16(nwqid).bytes(Buffer.concat(qids.parts));
+            }
+            case T.clunk:
+            {
+                const fid = req.u32();
+                this.get_fid(fid);
+                this.clunk(fid);
+                return res;
+            }
+            case T.flush:
+                // requests are handled synchronously, there is never one left to flush
+                return res;
+            case T.remove:
+            {
+                const fid = req.u32();
+                const file_path = this.fid_path(this.get_fid(fid));
+                this.clunk(fid);
+                if(fs.lstatSync(file_path).isDirectory())
+                {
+                    fs.rmdirSync(file_path);
+                }
+                else
+                {
+                    fs.unlinkSync(file_path);
+                }
+                return res;
+            }
+            case T.statfs:
+            {
+                const stats = fs.statfsSync(this.fid_path(this.get_fid(req.u32())));
+                return res.u32(stats.type).u32(stats.bsize).u64(stats.blocks).u64(stats.bfree).u64(stats.bavail)
+                    .u64(stats.files).u64(stats.ffree).u64(0).u32(255);
+            }
+            case T.lopen:
+            {
+                const fid = this.get_fid(req.u32());
+                const flags = req.u32();
+                const stats = fs.lstatSync(this.fid_path(fid));
+                if(this.readonly && ((flags & O_ACCMODE) !== 0 || (flags & O_TRUNC)))
+                {
+                    throw new P9Error("EROFS");
+                }
+                this.close_fid(fid);
+                if(!stats.isDirectory())
+                {
+                    fid.fd = fs.openSync(fid.path, this.open_flags(flags));
+                }
+                return res.qid(stats).u32(this.msize - 24);
+            }
+            case T.lcreate:
+            {
+                const fid = this.get_fid(req.u32());
+                const file_path = this.child_path(fid.path, req.str());
+                const flags = req.u32();
+                const mode = req.u32();
+                const fd = fs.openSync(file_path, this.open_flags(flags | O_CREAT), mode & 0o7777);
+                this.close_fid(fid);
+                fid.path = file_path;
+                fid.fd = fd;
+                return res.qid(fs.fstatSync(fd)).u32(this.msize - 24);
+            }
+            case T.symlink:
+            {
+                const fid = this.get_fid(req.u32());
+                const file_path = this.child_path(fid.path, req.str());
+                fs.symlinkSync(req.str(), file_path);
+                return res.qid(fs.lstatSync(file_path));
+            }
+            case T.mkdir:
+            {
+                const fid = this.get_fid(req.u32());
+                const file_path = this.child_path(fid.path, req.str());
+                fs.mkdirSync(file_path, req.u32() & 0o7777);
+                return res.qid(fs.lstatSync(file_path));
+            }
+            case T.link:
+            {
+                const dir_fid = this.get_fid(req.u32());
+                const fid = this.get_fid(req.u32());
+                fs.linkSync(this.fid_path(fid), this.child_path(dir_fid.path, req.str()));
+                return res;
+            }
+            case T.rename:
+            {
+                const fid = this.get_fid(req.u32());
+                const dir_fid = this.get_fid(req.u32());
+                this.rename(this.fid_path(fid), this.child_path(dir_fid.path, req.str()));
+                return res;
+            }
+            case T.renameat:
+            {
+                const old_path = this.child_path(this.get_fid(req.u32()).path, req.str());
+                const new_path = this.child_path(this.get_fid(req.u32()).path, req.str());
+                this.rename(old_path, new_path);
+                return res;
+            }
+            case T.unlinkat:
+            {
+                const file_path = this.child_path(this.get_fid(req.u32()).path, req.str());
+                const flags = req.u32();
+                if(flags & 0x200)
+                {
+                    // AT_REMOVEDIR
+                    fs.rmdirSync(file_path);
+                }
+                else
+                {
+                    fs.unlinkSync(file_path);
+                }
+                return res;
+            }
+            case T.readlink:
+                return res.str(fs.readlinkSync(this.fid_path(this.get_fid(req.u32()))));
+            case T.getattr:
+            {
+                const stats = fs.lstatSync(this.fid_path(this.get_fid(req.u32())), { bigint: true });
+                const ns_times = [stats.atimeNs, stats.mtimeNs, stats.ctimeNs, stats.birthtimeNs];
+                res.u64(0x7ff).qid(stats).u32(Number(stats.mode)).u32(Number(stats.uid)).u32(Number(stats.gid))
+                    .u64(stats.nlink).u64(stats.rdev).u64(stats.size).u64(stats.blksize).u64(stats.blocks);
+                for(const ns_time of ns_times)
+                {
+                    res.u64(ns_time / 1000000000n).u64(ns_time % 1000000000n);
+                }
+                return res.u64(0).u64(0);
+            }
+            case T.setattr:
+            {
+                const file_path = this.fid_path(this.get_fid(req.u32()));
+                const valid = req.u32();
+                const mode = req.u32();
+                const uid = req.u32();
+                const gid = req.u32();
+                const size = req.u64();
+                const atime = req.u64() + req.u64() / 1e9;
+                const mtime = req.u64() + req.u64() / 1e9;
+                if(valid & SETATTR_MODE)
+                {
+                    // Linux cannot change the mode of a symlink, chmodSync() would change the mode of its target
+                    if(fs.lstatSync(file_path).isSymbolicLink())
+                    {
+                        throw new P9Error("EOPNOTSUPP");
+                    }
+                    fs.chmodSync(file_path, mode & 0o7777);
+                }
+                if(valid & (SETATTR_UID | SETATTR_GID))
+                {
+                    const stats = fs.lstatSync(file_path);
+                    fs.lchownSync(file_path, valid & SETATTR_UID ? uid : stats.uid, valid & SETATTR_GID ? gid : stats.gid);
+                }
+                if(valid & SETATTR_SIZE)
+                {
+                    const fd = fs.openSync(file_path, fs.constants.O_WRONLY | fs.constants.O_NOFOLLOW | fs.constants.O_NONBLOCK);
+                    try
+                    {
+                        fs.ftruncateSync(fd, size);
+                    }
+                    finally
+                    {
+                        fs.closeSync(fd);
+                    }
+                }
+                if(valid & (SETATTR_ATIME | SETATTR_MTIME))
+                {
+                    // times are set to the given value with the *_SET bits, to the current time without them
+                    const stats = fs.lstatSync(file_path);
+                    const now = Date.now() / 1000;
+                    const new_atime = valid & SETATTR_ATIME ? (valid & SETATTR_ATIME_SET ? atime : now) : stats.atimeMs / 1000;
+                    const new_mtime = valid & SETATTR_MTIME ? (valid & SETATTR_MTIME_SET ? mtime : now) : stats.mtimeMs / 1000;
+                    fs.lutimesSync(file_path, new_atime, new_mtime);
+                }
+                return res;
+            }
+            case T.xattrwalk:
+                // extended attributes are not supported
+                throw new P9Error("EOPNOTSUPP");
+            case T.readdir:
+            {
+                const fid = this.get_fid(req.u32());
+                const offset = req.u64();
+                const count = Math.min(req.u32(), this.msize - 11);
+                if(offset === 0 || fid.entries === undefined)
+                {
+                    fid.entries = [".", "..", ...fs.readdirSync(this.fid_path(fid))];
+                }
+                const entries = new MessageWriter();
+                for(let i = offset; i < fid.entries.length; i++)
+                {
+                    const name = fid.entries[i];
+                    let stats;
+                    try
+                    {
+                        stats = fs.lstatSync(name === ".." && fid.path === this.root ? this.root : path.join(fid.path, name));
+                    }
+                    catch(e)
+                    {
+                        // skip entries removed since the directory was read
+                        continue;
+                    }
+                    const entry = new MessageWriter().qid(stats).u64(i + 1).u8(this.dirent_type(stats)).str(name);
+                    if(entries.length + entry.length > count)
+                    {
+                        break;
+                    }
+                    entries.parts.push(...entry.parts);
+                }
+                return res.u32(entries.length).bytes(Buffer.concat(entries.parts));
+            }
+            case T.read:
+            {
+                const fid = this.get_fid(req.u32());
+                const offset = req.u64();
+                const count = Math.min(req.u32(), this.msize - 11);
+                const data = Buffer.alloc(count);
+                const length = fs.readSync(this.get_fd(fid), data, 0, count, offset);
+                return res.u32(length).bytes(data.subarray(0, length));
+            }
+            case T.write:
+            {
+                const fid = this.get_fid(req.u32());
+                const offset = req.u64();
+                const data = req.bytes(req.u32());
+                return res.u32(fs.writeSync(this.get_fd(fid), data, 0, data.length, offset));
+            }
+            case T.fsync:
+                fs.fsyncSync(this.get_fd(this.get_fid(req.u32())));
+                return res;
+            case T.lock:
+                // locks are not shared with the host, every lock succeeds
+                return res.u8(0);
+            case T.getlock:
+            {
+                req.u32();
+                req.u8();
+                const start = req.u64();
+                const length = req.u64();
+                const proc_id = req.u32();
+                // F_UNLCK: the region is not locked
+                return res.u8(2).u64(start).u64(length).u32(proc_id).str(req.str());
+            }
+            default:
+                throw new P9Error("EOPNOTSUPP");
+        }
+    }
+
+    get_fid(fid)
+    {
+        const file = this.fids.get(fid);
+        if(file === undefined)
+        {
+            throw new P9Error("EBADF");
+        }
+        return file;
+    }
+
+    get_fd(file)
+    {
+        if(file.fd === undefined)
+        {
+            throw new P9Error(fs.lstatSync(file.path).isDirectory() ? "EISDIR" : "EBADF");
+        }
+        return file.fd;
+    }
+
+    clunk(fid)
+    {
+        const file = this.fids.get(fid);
+        if(file !== undefined)
+        {
+            this.close_fid(file);
+            this.fids.delete(fid);
+        }
+    }
+
+    close_fid(file)
+    {
+        if(file.fd !== undefined)
+        {
+            fs.closeSync(file.fd);
+            file.fd = undefined;
+        }
+        file.entries = undefined;
+    }
+
+    child_path(dir_path, name)
+    {
+        // return host path of file name in directory dir_path, which must stay within the shared directory,
+        // only walks may go up with .. (see parent_path()), a file cannot be created, renamed or removed as ..
+        if(name === "" || name === "." || name === ".." || name.includes("/"))
+        {
+            throw new P9Error("EINVAL");
+        }
+        this.check_dir(dir_path);
+        return path.join(dir_path, name);
+    }
+
+    parent_path(dir_path)
+    {
+        // return host path of the parent directory of dir_path, the shared directory is its own parent
+        this.check_dir(dir_path);
+        return dir_path === this.root ? this.root : path.dirname(dir_path);
+    }
+
+    fid_path(file)
+    {
+        // return host path of a fid after checking that its directory is still within the shared directory
+        if(file.path !== this.root)
+        {
+            this.check_dir(path.dirname(file.path));
+        }
+        return file.path;
+    }
+
+    check_dir(dir_path)
+    {
+        // walks never pass symlinks, but a directory on dir_path may have been replaced by one since
+        const real_path = fs.realpathSync(dir_path);
+        if(real_path !== this.real_root && !real_path.startsWith(this.real_root + path.sep))
+        {
+            throw new P9Error("EACCES");
+        }
+    }
+
+    rename(old_path, new_path)
+    {
+        // rename file and update all fids that refer to it or to a file below it
+        fs.renameSync(old_path, new_path);
+        for(const file of this.fids.values())
+        {
+            if(file.path === old_path || file.path.startsWith(old_path + path.sep))
+            {
+                file.path = new_path + file.path.slice(old_path.length);
+            }
+        }
+    }
+
+    open_flags(flags)
+    {
+        // return host open() flags of the guest's Linux open() flags, symlinks are never followed on the
+        // host, the guest resolves them itself
+        let host_flags = [fs.constants.O_RDONLY, fs.constants.O_WRONLY, fs.constants.O_RDWR][flags & O_ACCMODE] ?? fs.constants.O_RDONLY;
+        host_flags |= fs.constants.O_NOFOLLOW;
+        if(flags & O_CREAT)
+        {
+            host_flags |= fs.constants.O_CREAT;
+        }
+        if(flags & O_EXCL)
+        {
+            host_flags |= fs.constants.O_EXCL;
+        }
+        if(flags & O_TRUNC)
+        {
+            host_flags |= fs.constants.O_TRUNC;
+        }
+        return host_flags;
+    }
+
+    dirent_type(stats)
+    {
+        // return Linux d_type of a directory entry
+        return stats.isDirectory() ? 4 : stats.isFile() ? 8 : stats.isSymbolicLink() ? 10 : stats.isCharacterDevice() ? 2 :
+            stats.isBlockDevice() ? 6 : stats.isFIFO() ? 1 : stats.isSocket() ? 12 : 0;
+    }
+}
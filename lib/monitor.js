@@ -0,0 +1,280 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// monitor commands with their arguments and descriptions
+const COMMANDS =
+[
+    ["help",       "",                "Show this help"],
+    ["pause",      "",                "Pause the emulator"],
+    ["resume",     "",                "Resume the paused emulator"],
+    ["reset",      "",                "Hard reset the emulator"],
+    ["cad",        "",                "Send CTRL+ALT+DEL to the guest"],
+    ["type",       "FILE",            "Type the text of FILE on the guest's keyboard"],
+    ["change",     "fda|cdrom FILE",  "Insert image FILE into the floppy or CD-ROM drive"],
+    ["eject",      "fda|cdrom",       "Eject the floppy or CD-ROM image"],
+    ["screendump", "FILE",            "Write the VGA text screen to FILE"],
+    ["savestate",  "FILE",            "Save emulator state to FILE"],
+    ["loadstate",  "FILE",            "Restore emulator state from FILE"],
+    ["commit",     "",                "Write changed disk sectors to the image or overlay files"],
+    ["stats",      "",                "Show emulator statistics"],
+    ["quit",       "",                "End the session"]
+];
+
+export class Monitor
+{
+    PROMPT = "(vga2tty) ";
+
+    constructor(output_handler, quit_handler, options)
+    {
+        // output_handler(text) writes monitor output to the terminal
+        this.output_handler = output_handler;
+        // quit_handler() ends the session
+        this.quit_handler = quit_handler;
+        // key sequence that opens the monitor prompt (default: CTRL+A)
+        this.escape_key = options?.escape_key || "\u0001";
+        // optional VgaObserver instance used to dump the screen and to reload it after a state was restored
+        this.vga_observer = options?.vga_observer;
+        // array of DiskImage instances written by the commit command
+        this.disk_images = options?.disk_images || [];
+        // optional type_handler(text) types text on the guest's keyboard
+        this.type_handler = options?.type_handler;
+        // optional close_handler() is called after the monitor prompt was closed
+        this.close_handler = options?.close_handler;
+        this.emulator = undefined;
+        this.start_time = undefined;
+        this.active = false;
+        this.command_line = "";
+    }
+
+    static escape_key_sequence(chord)
+    {
+        // return control character of chord like "ctrl+a" or "ctrl+]", or undefined if chord is invalid
+        const match = chord.match(/^ctrl\+([a-z\\\]^_])$/i);
+        return match ? String.fromCharCode(match[1].toUpperCase().charCodeAt(0) & 0x1f) : undefined;
+    }
+
+    start(emulator)
+    {
+        if(this.emulator === undefined)
+        {
+            this.emulator = emulator;
+            this.start_time = performance.now();
+            this.active = false;
+        }
+    }
+
+    stop()
+    {
+        this.emulator = undefined;
+        this.active = false;
+    }
+
+    open()
+    {
+        this.active = true;
+        this.command_line = "";
+        this.output_handler("\n" + this.PROMPT);
+    }
+
+    close()
+    {
+        this.active = false;
+        this.close_handler?.();
+    }
+
+    async handle_key(key)
+    {
+        // edit and execute the command line, returns key if it should be passed on to the guest
+        if(key.sequence === this.escape_key && this.command_line === "")
+        {
+            // escape key pressed twice sends the escape key itself
+            this.output_handler("\n");
+            this.close();
+            return key;
+        }
+        else if(key.code === "Enter")
+        {
+            this.output_handler("\n");
+            const command_line = this.command_line.trim();
+            this.command_line = "";
+            if(command_line === "")
+            {
+                this.close();
+            }
+            else
+            {
+                try
+                {
+                    await this.execute(command_line);
+                }
+                catch(e)
+                {
+                    this.output_handler(`error: ${e.message}\n`);
+                }
+                if(this.active)
+                {
+                    this.output_handler(this.PROMPT);
+                }
+            }
+        }
+        else if(key.code === "Escape" || key.sequence === "\u0003")
+        {
+            this.output_handler("\n");
+            this.close();
+        }
+        else if(key.code === "Backspace")
+        {
+            if(this.command_line.length)
+            {
+                this.command_line = this.command_line.slice(0, -1);
+                this.output_handler("\b \b");
+            }
+        }
+        else if(key.paste !== undefined)
+        {
+            // pasted text up to its first line break is added to the command line
+            const text = key.paste.split(/[\r\n]/)[0].replace(/[\u0000-\u001f\u007f]/g, "");
+            this.command_line += text;
+            this.output_handler(text);
+        }
+        else if(key.char !== undefined && !key.ctrl && !key.alt && !key.meta)
+        {
+            this.command_line += key.char;
+            this.output_handler(key.char);
+        }
+        return undefined;
+    }
+
+    async execute(command_line)
+    {
+        const [command, ...args] = command_line.split(/\s+/);
+        const drive = args[0];
+        if((command === "change" || command === "eject") && drive !== "fda" && drive !== "cdrom")
+        {
+            throw new Error(`Invalid drive: ${drive ?? ""}, expected fda or cdrom`);
+        }
+        switch(command)
+        {
+            case "help":
+                for(const [name, usage, description] of COMMANDS)
+                {
+                    this.output_handler(`  ${(name + " " + usage).padEnd(26)}${description}\n`);
+                }
+                this.output_handler(`  ${"ESCAPE KEY".padEnd(26)}Send the escape key to the guest (at an empty prompt)\n`);
+                break;
+            case "pause":
+                await this.emulator.stop();
+                this.close();
+                break;
+            case "resume":
+                await this.emulator.run();
+                this.close();
+                break;
+            case "reset":
+                this.emulator.restart();
+                this.close();
+                break;
+            case "cad":
+                this.close();
+                await this.emulator.keyboard_send_keypress(["ControlLeft", "AltLeft", "Delete"]);
+                break;
+            case "type":
+            {
+                if(args.length !== 1)
+                {
+                    throw new Error("Usage: type FILE");
+                }
+                if(this.type_handler === undefined)
+                {
+                    throw new Error("Typing text is not available");
+                }
+                const text = fs.readFileSync(args[0], "utf8");
+                this.output_handler(`  typing ${text.length} characters, the escape key cancels\n`);
+                this.close();
+                this.type_handler(text);
+                break;
+            }
+            case "change":
+                if(args.length !== 2)
+                {
+                    throw new Error("Usage: change fda|cdrom FILE");
+                }
+                fs.accessSync(args[1], fs.constants.R_OK);
+                if(drive === "fda")
+                {
+                    await this.emulator.set_fda({ url: path.resolve(args[1]) });
+                }
+                else
+                {
+                    await this.emulator.set_cdrom({ url: path.resolve(args[1]) });
+                }
+                break;
+            case "eject":
+                if(drive === "fda")
+                {
+                    this.emulator.eject_fda();
+                }
+                else
+                {
+                    this.emulator.eject_cdrom();
+                }
+                break;
+            case "screendump":
+                if(args.length !== 1)
+                {
+                    throw new Error("Usage: screendump FILE");
+                }
+                fs.writeFileSync(args[0], this.vga_observer.screen_text() + "\n");
+                break;
+            case "savestate":
+                if(args.length !== 1)
+                {
+                    throw new Error("Usage: savestate FILE");
+                }
+                fs.writeFileSync(args[0], new Uint8Array(await this.emulator.save_state()));
+                break;
+            case "loadstate":
+            {
+                if(args.length !== 1)
+                {
+                    throw new Error("Usage: loadstate FILE");
+                }
+                const state = fs.readFileSync(args[0]);
+                this.close();
+                await this.emulator.restore_state(state.buffer.slice(state.byteOffset, state.byteOffset + state.length));
+                this.vga_observer.reload();
+                break;
+            }
+            case "commit":
+            {
+                if(this.disk_images.length === 0)
+                {
+                    throw new Error("No hard disk image files to commit");
+                }
+                let count = 0;
+                for(const disk_image of this.disk_images)
+                {
+                    count += disk_image.flush();
+                }
+                this.output_handler(`  ${count} sectors written\n`);
+                break;
+            }
+            case "stats":
+            {
+                const uptime = (performance.now() - this.start_time) / 1000;
+                const instructions = this.emulator.get_instruction_counter();
+                this.output_handler(`  state:         ${this.emulator.is_running() ? "running" : "paused"}\n`);
+                this.output_handler(`  uptime:        ${uptime.toFixed(1)} s\n`);
+                this.output_handler(`  instructions:  ${instructions}\n`);
+                this.output_handler(`  average speed: ${(instructions / uptime / 1e6).toFixed(1)} MIPS\n`);
+                break;
+            }
+            case "quit":
+                this.close();
+                this.quit_handler();
+                break;
+            default:
+                throw new Error(`Unknown command: ${command}, try help`);
+        }
+    }
+}
@@ -0,0 +1,480 @@
+import crypto from "node:crypto";
+import http from "node:http";
+import net from "node:net";
+
+import { listen_servers } from "./listen_servers.js";
+
+// telnet commands and options
+const IAC = 255;
+const DONT = 254;
+const DO = 253;
+const WONT = 252;
+const WILL = 251;
+const SB = 250;
+const SE = 240;
+const TELOPT_ECHO = 1;
+const TELOPT_SGA = 3;
+const TELOPT_NAWS = 31;
+
+// GUID of the WebSocket opening handshake (RFC 6455)
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// WebSocket frame opcodes
+const WS_TEXT = 0x1;
+const WS_BINARY = 0x2;
+const WS_CLOSE = 0x8;
+const WS_PING = 0x9;
+const WS_PONG = 0xA;
+
+// largest WebSocket frame accepted from a client, terminal input comes in small frames
+const WS_MAX_FRAME_LENGTH = 65536;
+
+// close frame status code "message too big"
+const WS_CLOSE_TOO_BIG = 1009;
+
+// largest telnet subnegotiation kept, NAWS needs 5 bytes
+const MAX_SUBNEGOTIATION_LENGTH = 64;
+
+// terminal size report "CSI 8 ; rows ; columns t" that WebSocket clients send to tell their size
+const RESIZE_SEQUENCE = /\u001b\[8;(\d+);(\d+)t/g;
+
+class TelnetClient
+{
+    // telnet connection, the client is asked to send characters as they are typed without echoing
+    // them and to report its window size (NAWS)
+
+    constructor(socket, handlers)
+    {
+        this.socket = socket;
+        // handlers { data_handler(text), resize_handler(columns, rows), close_handler() }
+        this.handlers = handlers;
+        this.decoder = new TextDecoder();
+        this.state = "data";
+        this.command = 0;
+        this.subnegotiation = [];
+        this.last_byte = 0;
+        socket.on("data", data => this.handle_data(data));
+        socket.on("close", () => handlers.close_handler());
+        socket.on("error", () => socket.destroy());
+        socket.write(Buffer.from([IAC, WILL, TELOPT_ECHO, IAC, WILL, TELOPT_SGA, IAC, DO, TELOPT_NAWS]));
+    }
+
+    write(text)
+    {
+        this.socket.write(text);
+    }
+
+    close()
+    {
+        this.socket.destroy();
+    }
+
+    handle_data(data)
+    {
+        // strip telnet commands from data and pass on the remaining text
+        const bytes = [];
+        for(const byte of data)
+        {
+            switch(this.state)
+            {
+                case "data":
+                    if(byte === IAC)
+                    {
+                        this.state = "iac";
+                    }
+                    else if(this.last_byte !== 13 || (byte !== 0 && byte !== 10))
+                    {
+                        // ENTER is sent as CR NUL or CR LF, CR alone is enough
+                        bytes.push(byte);
+                    }
+                    this.last_byte = byte;
+                    break;
+                case "iac":
+                    this.state = "data";
+                    if(byte === IAC)
+                    {
+                        bytes.push(byte);
+                    }
+                    else if(byte >= WILL && byte <= DONT)
+                    {
+                        this.command = byte;
+                        this.state = "option";
+                    }
+                    else if(byte === SB)
+                    {
+                        this.subnegotiation = [];
+                        this.state = "sb";
+                    }
+                    break;
+                case "option":
+                    // refuse all options that were not offered
+                    if(this.command === DO && byte !== TELOPT_ECHO && byte !== TELOPT_SGA)
+                    {
+                        this.socket.write(Buffer.from([IAC, WONT, byte]));
+                    }
+                    else if(this.command === WILL && byte !== TELOPT_NAWS)
+                    {
+                        this.socket.write(Buffer.from([IAC, DONT, byte]));
+                    }
+                    this.state = "data";
+                    break;
+                case "sb":
+                    if(byte === IAC)
+                    {
+                        this.state = "sb_iac";
+                    }
+                    else if(this.subnegotiation.length < MAX_SUBNEGOTIATION_LENGTH)
+                    {
+                        this.subnegotiation.push(byte);
+                    }
+                    break;
+                case "sb_iac":
+                    if(byte === SE)
+                    {
+                        this.handle_subnegotiation(this.subnegotiation);
+                        this.state = "data";
+                    }
+                    else
+                    {
+                        if(this.subnegotiation.length < MAX_SUBNEGOTIATION_LENGTH)
+                        {
+                            this.subnegotiation.push(byte);
+                        }
+                        this.state = "sb";
+                    }
+                    break;
+            }
+        }
+        if(bytes.length)
+        {
+            this.handlers.data_handler(this.decoder.decode(new Uint8Array(bytes), { stream: true }));
+        }
+    }
+
+    handle_subnegotiation(bytes)
+    {
+        if(bytes[0] === TELOPT_NAWS && bytes.length >= 5)
+        {
+            this.handlers.resize_handler(bytes[1] << 8 | bytes[2], bytes[3] << 8 | bytes[4]);
+        }
+    }
+}
+
+class WebSocketClient
+{
+    // WebSocket connection after the opening handshake, terminal data is exchanged in text or binary messages
+
+    constructor(socket, head, handlers)
+    {
+        this.socket = socket;
+        // handlers { data_handler(text), resize_handler(columns, rows), close_handler() }
+        this.handlers = handlers;
+        this.decoder = new TextDecoder();
+        this.buffer = Buffer.from(head);
+        this.closed = false;
+        socket.on("data", data => {
+            if(!this.closed)
+            {
+                this.buffer = Buffer.concat([this.buffer, data]);
+                this.handle_frames();
+            }
+        });
+        socket.on("close", () => handlers.close_handler());
+        // upgraded sockets of the HTTP server stay half-open after the client went away
+        socket.on("end", () => socket.destroy());
+        socket.on("error", () => socket.destroy());
+        // frames received together with the handshake are handled once the client was added
+        queueMicrotask(() => this.handle_frames());
+    }
+
+    write(text)
+    {
+        this.send_frame(WS_TEXT, Buffer.from(text));
+    }
+
+    close(status)
+    {
+        // send close frame with optional status code
+        const payload = Buffer.alloc(status === undefined ? 0 : 2);
+        if(status !== undefined)
+        {
+            payload.writeUInt16BE(status);
+        }
+        this.send_frame(WS_CLOSE, payload);
+        this.socket.destroySoon();
+        this.buffer = Buffer.alloc(0);
+        this.closed = true;
+    }
+
+    send_frame(opcode, payload)
+    {
+        // servers send unmasked frames, always with the FIN bit set
+        let header;
+        if(payload.length < 126)
+        {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        }
+        else if(payload.length < 0x10000)
+        {
+            header = Buffer.from([0x80 | opcode, 126, payload.length >> 8, payload.length & 0xff]);
+        }
+        else
+        {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        if(!this.socket.destroyed && !this.closed)
+        {
+            this.socket.write(Buffer.concat([header, payload]));
+        }
+    }
+
+    handle_frames()
+    {
+        // handle all complete frames in the receive buffer
+        while(this.buffer.length >= 2)
+        {
+            const opcode = this.buffer[0] & 0x0f;
+            const masked = this.buffer[1] & 0x80;
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+            if(length === 126)
+            {
+                if(this.buffer.length < 4)
+                {
+                    return;
+                }
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            }
+            else if(length === 127)
+            {
+                if(this.buffer.length < 10)
+                {
+                    return;
+                }
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if(length > WS_MAX_FRAME_LENGTH)
+            {
+                // the frame is refused before its payload is buffered
+                this.close(WS_CLOSE_TOO_BIG);
+                return;
+            }
+            const mask_offset = offset;
+            if(masked)
+            {
+                offset += 4;
+            }
+            if(this.buffer.length < offset + length)
+            {
+                return;
+            }
+            const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+            if(masked)
+            {
+                for(let i = 0; i < payload.length; i++)
+                {
+                    payload[i] ^= this.buffer[mask_offset + (i & 3)];
+                }
+            }
+            this.buffer = this.buffer.subarray(offset + length);
+            if(opcode === WS_CLOSE)
+            {
+                this.close();
+                return;
+            }
+            else if(opcode === WS_PING)
+            {
+                this.send_frame(WS_PONG, payload);
+            }
+            else if(opcode === WS_TEXT || opcode === WS_BINARY || opcode === 0)
+            {
+                // data frames and their continuation frames
+                this.handle_text(this.decoder.decode(payload, { stream: true }));
+            }
+        }
+    }
+
+    handle_text(text)
+    {
+        text = text.replace(RESIZE_SEQUENCE, (sequence, rows, columns) => {
+            this.handlers.resize_handler(parseInt(columns, 10), parseInt(rows, 10));
+            return "";
+        });
+        if(text)
+        {
+            this.handlers.data_handler(text);
+        }
+    }
+}
+
+export class RemoteServer
+{
+    // Shares the session's terminal output with telnet and WebSocket clients. The client that
+    // connected first is the primary client, it holds control if control is enabled, and its
+    // terminal size is reported to resize_handler(), the next client takes over when it leaves.
+
+    constructor(options)
+    {
+        // array of addresses to listen on { protocol, host, port }, protocol is "tcp" (telnet) or "ws" (WebSocket)
+        this.addresses = options?.listen || [];
+        // if true, the keyboard input of the primary client is passed to input_handler(text)
+        this.control = !! options?.control;
+        this.input_handler = options?.input_handler;
+        // optional resize_handler(columns, rows) is called with the terminal size of the primary client
+        this.resize_handler = options?.resize_handler;
+        // optional connect_handler(client) is called after a client connected, client.write(text) sends text to it
+        this.connect_handler = options?.connect_handler;
+        // origins of web pages that may open WebSocket connections besides those served from the listening address
+        this.origins = options?.origins || [];
+        this.servers = [];
+        this.clients = [];
+    }
+
+    async listen()
+    {
+        // open the listening sockets, rejects if any of them cannot be opened
+        try
+        {
+            await listen_servers(this.servers, this.addresses.map(address => ({
+                server: this.create_server(address.protocol),
+                port: address.port,
+                host: address.host
+            })));
+        }
+        catch(e)
+        {
+            this.stop();
+            throw new Error(`Cannot listen for remote terminals: ${e.message}`);
+        }
+    }
+
+    create_server(protocol)
+    {
+        if(protocol === "ws")
+        {
+            const server = http.createServer((req, res) => {
+                res.writeHead(426, { "Content-Type": "text/plain" });
+                res.end("WebSocket connection required\n");
+            });
+            server.on("upgrade", (req, socket, head) => this.upgrade_connection(req, socket, head));
+            return server;
+        }
+        return net.createServer(socket => this.add_client(handlers => new TelnetClient(socket, handlers)));
+    }
+
+    stop()
+    {
+        for(const server of this.servers)
+        {
+            server.close();
+        }
+        this.servers = [];
+        for(const client of this.clients)
+        {
+            client.close();
+        }
+        this.clients = [];
+    }
+
+    write(text)
+    {
+        // send terminal output text to all clients, they don't translate LF to CR LF like the host's tty driver
+        if(this.clients.length)
+        {
+            const data = text.replace(/\n/g, "\r\n");
+            for(const client of this.clients)
+            {
+                client.write(data);
+            }
+        }
+    }
+
+    upgrade_connection(req, socket, head)
+    {
+        // complete the WebSocket opening handshake
+        const key = req.headers["sec-websocket-key"];
+        if(req.headers.upgrade?.toLowerCase() !== "websocket" || !key)
+        {
+            socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+            return;
+        }
+        else if(!this.allowed_origin(req.headers.origin, req.headers.host))
+        {
+            socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+            return;
+        }
+        const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+        socket.write("HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+        this.add_client(handlers => new WebSocketClient(socket, head, handlers));
+    }
+
+    allowed_origin(origin, host)
+    {
+        // browsers send the origin of the page that opens a WebSocket, any web site the user visits could
+        // connect otherwise, clients that are no browsers don't send one
+        if(origin === undefined || this.origins.includes(origin))
+        {
+            return true;
+        }
+        try
+        {
+            return new URL(origin).host === host;
+        }
+        catch(e)
+        {
+            return false;
+        }
+    }
+
+    add_client(create_client)
+    {
+        const client = create_client({
+            data_handler: text => {
+                if(this.control && client === this.clients[0])
+                {
+                    this.input_handler(text);
+                }
+            },
+            resize_handler: (columns, rows) => {
+                client.size = [columns, rows];
+                if(client === this.clients[0])
+                {
+                    this.resize_handler?.(columns, rows);
+                }
+            },
+            close_handler: () => this.remove_client(client)
+        });
+        this.clients.push(client);
+        client.write(`[vga2tty: ${this.client_status(client)}]\r\n`);
+        this.connect_handler?.(client);
+    }
+
+    remove_client(client)
+    {
+        const index = this.clients.indexOf(client);
+        if(index !== -1)
+        {
+            this.clients.splice(index, 1);
+            const primary_client = this.clients[0];
+            if(index === 0 && primary_client !== undefined)
+            {
+                primary_client.write(`\r\n[vga2tty: ${this.client_status(primary_client)}]\r\n`);
+                if(primary_client.size)
+                {
+                    this.resize_handler?.(...primary_client.size);
+                }
+            }
+        }
+    }
+
+    client_status(client)
+    {
+        return this.control && client === this.clients[0] ? "you have control" : "read-only";
+    }
+}
@@ -0,0 +1,148 @@
+// Line mode output prints the rows of the text screen as a stream of lines, the last line
+// printed stays pending because the guest may still extend it. diff_screens() compares two
+// consecutive captures of the screen and returns the ranges of rows of the new screen that
+// continue this stream. It depends on nothing but its arguments.
+
+export function diff_screens(old_rows, new_rows, empty_row, bottom_pending = true)
+{
+    // return array of ranges {start, end, all_new} of rows new_rows[start : end] to print, the
+    // first row of a range replaces the pending line unless all_new is true. bottom_pending is
+    // false if the pending line is not the bottom row of old_rows but a row above it that a
+    // partial redraw printed last, then no range replaces the pending line.
+    const new_bottom_rowid = find_bottom_rowid(new_rows, empty_row);
+    if(new_bottom_rowid === undefined)
+    {
+        // new screen is empty: no rows have changed
+        return [];
+    }
+    const old_bottom_rowid = find_bottom_rowid(old_rows, empty_row);
+    if(old_bottom_rowid === undefined)
+    {
+        // old screen is empty: all rows are new
+        return [{ start: 0, end: new_bottom_rowid + 1, all_new: true }];
+    }
+
+    // the complete screen scrolled up by zero or more rows
+    let scroll = find_scroll(old_rows, old_bottom_rowid, new_rows, new_bottom_rowid, 0);
+    if(scroll === undefined)
+    {
+        // the rows below fixed rows at the top of the screen (a scroll region) scrolled up
+        const top_rowid = count_fixed_rows(old_rows, new_rows, Math.min(old_bottom_rowid, new_bottom_rowid));
+        if(top_rowid > 0)
+        {
+            scroll = find_scroll(old_rows, old_bottom_rowid, new_rows, new_bottom_rowid, top_rowid);
+        }
+    }
+    if(scroll !== undefined)
+    {
+        // the old bottom row moved up to old_bottom_rowid - scroll, all rows below it are new
+        const start = old_bottom_rowid - scroll;
+        if(bottom_pending)
+        {
+            return [{ start: start, end: new_bottom_rowid + 1, all_new: false }];
+        }
+        // the old bottom row was printed before the pending line, it is printed again only if it has changed
+        const first_rowid = new_rows[start] === old_rows[old_bottom_rowid] ? start + 1 : start;
+        return first_rowid <= new_bottom_rowid ? [{ start: first_rowid, end: new_bottom_rowid + 1, all_new: true }] : [];
+    }
+
+    if(new_bottom_rowid < old_bottom_rowid && rows_match(old_rows, 0, new_rows, 0, new_bottom_rowid + 1))
+    {
+        // rows were erased at the bottom of the screen, there is nothing new to print
+        return [];
+    }
+
+    // rows were redrawn in place, or the screen was cleared and filled again
+    const changed_rowids = [];
+    for(let rowid = 0; rowid < new_bottom_rowid; rowid++)
+    {
+        if(old_rows[rowid] !== new_rows[rowid])
+        {
+            changed_rowids.push(rowid);
+        }
+    }
+    if(changed_rowids.length * 2 > new_bottom_rowid + 1)
+    {
+        // most rows have changed: print the new screen
+        return [{ start: 0, end: new_bottom_rowid + 1, all_new: true }];
+    }
+    // print each run of changed rows, followed by the bottom row if it has changed too
+    if(old_rows[new_bottom_rowid] !== new_rows[new_bottom_rowid])
+    {
+        changed_rowids.push(new_bottom_rowid);
+    }
+    const ranges = [];
+    for(const rowid of changed_rowids)
+    {
+        const range = ranges[ranges.length - 1];
+        if(range !== undefined && range.end === rowid)
+        {
+            range.end++;
+        }
+        else
+        {
+            ranges.push({ start: rowid, end: rowid + 1, all_new: true });
+        }
+    }
+    return ranges;
+}
+
+export function find_bottom_rowid(rows, empty_row)
+{
+    // return index of the last row in rows[] that is not empty_row, or undefined if all rows are empty
+    for(let i = rows.length - 1; i >= 0; i--)
+    {
+        if(rows[i] !== empty_row)
+        {
+            return i;
+        }
+    }
+    return undefined;
+}
+
+function find_scroll(old_rows, old_bottom_rowid, new_rows, new_bottom_rowid, top_rowid)
+{
+    // return the smallest number of rows that the complete rows old_rows[top_rowid : old_bottom_rowid]
+    // scrolled up by to match new_rows[], or undefined if they don't match for any number of rows,
+    // the pending row old_rows[old_bottom_rowid] may have changed but must still be on the screen
+    const min_scroll = top_rowid > 0 ? 1 : 0;
+    for(let scroll = min_scroll; scroll <= old_bottom_rowid - top_rowid; scroll++)
+    {
+        const count = old_bottom_rowid - top_rowid - scroll;
+        if(count === 0 && old_bottom_rowid > 0)
+        {
+            // nothing left to compare
+            break;
+        }
+        if(old_bottom_rowid - scroll <= new_bottom_rowid &&
+            rows_match(old_rows, top_rowid + scroll, new_rows, top_rowid, count))
+        {
+            return scroll;
+        }
+    }
+    return undefined;
+}
+
+function count_fixed_rows(old_rows, new_rows, max_count)
+{
+    // return number of rows at the top of the screen that are equal in old_rows[] and new_rows[]
+    let count = 0;
+    while(count < max_count && old_rows[count] === new_rows[count])
+    {
+        count++;
+    }
+    return count;
+}
+
+function rows_match(lhs_rows, lhs_offset, rhs_rows, rhs_offset, count)
+{
+    // return true if lhs_rows[lhs_offset : lhs_offset + count] === rhs_rows[rhs_offset : rhs_offset + count]
+    for(let i = 0; i < count; i++)
+    {
+        if(lhs_rows[lhs_offset + i] !== rhs_rows[rhs_offset + i])
+        {
+            return false;
+        }
+    }
+    return true;
+}
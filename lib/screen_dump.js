@@ -0,0 +1,189 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { AnsiColors } from "./ansi_colors.js";
+
+// file name extensions of the dump formats
+const FORMAT_EXTENSIONS =
+{
+    "text": ".txt",
+    "ansi": ".ans",
+    "html": ".html"
+};
+
+// CSS colors of the 16 VGA text colors
+const HTML_COLORS =
+[
+    "#000000", "#0000aa", "#00aa00", "#00aaaa", "#aa0000", "#aa00aa", "#aa5500", "#aaaaaa",
+    "#555555", "#5555ff", "#55ff55", "#55ffff", "#ff5555", "#ff55ff", "#ffff55", "#ffffff"
+];
+
+const HTML_STYLE = `body { background: #222222; }
+pre { display: inline-block; margin: 0; padding: 8px; background: #000000; color: #aaaaaa; font: 16px/1 monospace; }
+.blink { animation: blink 1s step-end infinite; }
+.cursor { text-decoration: underline; }
+@keyframes blink { 50% { color: transparent; } }`;
+
+export class ScreenDump
+{
+    // Writes the VGA text screen together with its cursor position to files as plain text, as text
+    // with ANSI colors or as standalone HTML page, on request, on signal SIGUSR1 and optionally
+    // after each busy-to-idle transition of the screen.
+
+    static FORMATS = Object.keys(FORMAT_EXTENSIONS);
+
+    constructor(vga_observer, options)
+    {
+        this.vga_observer = vga_observer;
+        // file format, one of text, ansi, html (default: text)
+        this.format = options?.format || "text";
+        // optional file written by write_dump_file()
+        this.dump_file = options?.dump_file;
+        // optional directory that receives a numbered file after each busy-to-idle transition
+        this.snapshots_dir = options?.snapshots_dir;
+        if(!ScreenDump.FORMATS.includes(this.format))
+        {
+            throw new Error(`Invalid screen dump format: ${this.format}`);
+        }
+        this.colors = new AnsiColors();
+        this.snapshot_count = 0;
+        this.started = false;
+        this.capture_listener = () => this.report_errors(() => this.write_snapshot());
+        // SIGUSR1 writes the dump file, or a snapshot if there is none
+        this.signal_handler = () => this.report_errors(() => this.dump_file ? this.write_dump_file() : this.write_snapshot());
+    }
+
+    start()
+    {
+        if(!this.started)
+        {
+            this.started = true;
+            if(this.snapshots_dir)
+            {
+                fs.mkdirSync(this.snapshots_dir, { recursive: true });
+                this.vga_observer.add_capture_listener(this.capture_listener);
+            }
+            if(this.dump_file || this.snapshots_dir)
+            {
+                process.on("SIGUSR1", this.signal_handler);
+            }
+        }
+    }
+
+    stop()
+    {
+        if(this.started)
+        {
+            this.vga_observer.remove_capture_listener(this.capture_listener);
+            process.removeListener("SIGUSR1", this.signal_handler);
+            this.started = false;
+        }
+    }
+
+    report_errors(write)
+    {
+        // call write() for a dump that nobody waits for, an error is reported on stderr and the session goes on
+        try
+        {
+            write();
+        }
+        catch(e)
+        {
+            console.error("screen dump failed:", e.message);
+        }
+    }
+
+    write_dump_file()
+    {
+        this.write(this.dump_file);
+    }
+
+    write_snapshot()
+    {
+        const number = (++this.snapshot_count).toString().padStart(4, "0");
+        this.write(path.join(this.snapshots_dir, `snapshot-${number}${FORMAT_EXTENSIONS[this.format]}`));
+    }
+
+    write(file)
+    {
+        fs.writeFileSync(file, this.format_screen());
+    }
+
+    format_screen()
+    {
+        // return the current screen in this.format
+        const rows = this.vga_observer.screen_rows;
+        const attrs = rows.map((row, rowid) => this.attr_row(rowid));
+        const cursor = this.vga_observer.cursor_position();
+        if(this.format === "html")
+        {
+            return this.format_html(rows, attrs, cursor);
+        }
+        const lines = this.format === "ansi" ?
+            rows.map((row, rowid) => this.colors.sgr_row(row, attrs[rowid], true)) :
+            rows.map(row => row.trimRight());
+        const cursor_line = cursor ? `cursor: row ${cursor[0] + 1}, column ${cursor[1] + 1}` : "cursor: unknown";
+        return lines.join("\n") + "\n\n" + cursor_line + "\n";
+    }
+
+    format_html(rows, attrs, cursor)
+    {
+        // return standalone HTML page with one span per run of characters with the same attribute,
+        // the cursor's character is a span of its own
+        const lines = rows.map((row, rowid) => {
+            const attr_row = attrs[rowid];
+            const cursor_col = cursor && cursor[0] === rowid ? cursor[1] : -1;
+            const output = [];
+            let start = 0;
+            for(let i = 1; i <= row.length; i++)
+            {
+                if(i === row.length || i === cursor_col || i === cursor_col + 1 || attr_row?.[i] !== attr_row?.[start])
+                {
+                    output.push(this.html_span(row.slice(start, i), attr_row?.charCodeAt(start), start === cursor_col));
+                    start = i;
+                }
+            }
+            return output.join("");
+        });
+        const title = `vga2tty screen dump ${new Date().toISOString()}`;
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+${HTML_STYLE}
+</style>
+</head>
+<body>
+<pre>${lines.join("\n")}</pre>
+</body>
+</html>
+`;
+    }
+
+    html_span(text, attr, is_cursor)
+    {
+        const escaped = text.replace(/[&<>]/g, chr => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" })[chr]);
+        const classes = is_cursor ? ["cursor"] : [];
+        if(attr & 0x80)
+        {
+            classes.push("blink");
+        }
+        const class_attr = classes.length ? ` class="${classes.join(" ")}"` : "";
+        // the page's default colors are those of the VGA default attribute
+        const style_attr = attr !== undefined && (attr & 0x7f) !== this.colors.DEFAULT_ATTR ? ` style="color: ${HTML_COLORS[attr & 0x0f]}; background: ${HTML_COLORS[(attr >> 4) & 0x07]}"` : "";
+        return class_attr || style_attr ? `<span${class_attr}${style_attr}>${escaped}</span>` : escaped;
+    }
+
+    attr_row(rowid)
+    {
+        // return attribute bytes of row rowid, they are read from VGA memory if the VgaObserver doesn't keep them
+        if(this.format === "text")
+        {
+            return undefined;
+        }
+        return this.vga_observer.screen_attrs[rowid] ??
+            (this.vga_observer.emulator !== undefined ? this.vga_observer.read_text_memory(rowid, 1) : undefined);
+    }
+}
@@ -0,0 +1,179 @@
+import { parse_key_chord } from "./key_chord.js";
+
+export class ScriptRunner
+{
+    DEFAULT_WAIT_TIMEOUT_SEC = 30;
+    WAIT_FAILED_EXIT_CODE = 1;
+
+    constructor(script, script_name, exit_handler)
+    {
+        // exit_handler(exit_code, message) is called when the script ends
+        this.exit_handler = exit_handler;
+        this.script_name = script_name;
+        this.commands = this.parse(script);
+        this.emulator = undefined;
+        this.vga_observer = undefined;
+        this.sleep_timeout_h = null;
+    }
+
+    start(emulator, vga_observer)
+    {
+        if(this.emulator === undefined)
+        {
+            this.emulator = emulator;
+            this.vga_observer = vga_observer;
+            // a command that fails, for example sending keys to the emulator, ends the session with an error
+            this.run().catch(e => {
+                if(this.emulator !== undefined)
+                {
+                    this.exit_handler(1, `${this.script_name}: ${e.message}`);
+                }
+            });
+        }
+    }
+
+    stop()
+    {
+        if(this.emulator !== undefined)
+        {
+            clearTimeout(this.sleep_timeout_h);
+            this.emulator = undefined;
+        }
+    }
+
+    parse(script)
+    {
+        // return array of commands, one per non-empty line that is not a comment
+        const commands = [];
+        const lines = script.split(/\r?\n/);
+        for(let i = 0; i < lines.length; i++)
+        {
+            const line = lines[i].trim();
+            if(!line.length || line.startsWith("#"))
+            {
+                continue;
+            }
+            const [, name, args] = line.match(/^(\S+)\s*(.*)$/);
+            const command = { name: name, location: this.script_name + ":" + (i + 1) };
+            const error = message => new Error(`${command.location}: ${message}`);
+            switch(name)
+            {
+                case "wait":
+                {
+                    // wait /REGEX/[FLAGS] [TIMEOUT_SEC]
+                    const match = args.match(/^\/(.*)\/([dgimsuy]*)(?:\s+(\d+(?:\.\d+)?))?$/);
+                    if(!match)
+                    {
+                        throw error(`invalid wait arguments: ${args}`);
+                    }
+                    try
+                    {
+                        command.regex = new RegExp(match[1], match[2]);
+                    }
+                    catch(e)
+                    {
+                        throw error(e.message);
+                    }
+                    command.timeout_sec = match[3] !== undefined ? parseFloat(match[3]) : this.DEFAULT_WAIT_TIMEOUT_SEC;
+                    break;
+                }
+                case "send":
+                {
+                    // send "TEXT" (JSON string syntax, e.g. "root\n")
+                    try
+                    {
+                        command.text = JSON.parse(args);
+                    }
+                    catch(e)
+                    {
+                        command.text = undefined;
+                    }
+                    if(typeof command.text !== "string")
+                    {
+                        throw error(`invalid send argument, expected quoted string: ${args}`);
+                    }
+                    break;
+                }
+                case "key":
+                {
+                    // key KEY[+KEY...], e.g. ctrl+alt+del, ControlLeft+KeyC, F2
+                    if(!args.length)
+                    {
+                        throw error("missing key chord");
+                    }
+                    command.codes = parse_key_chord(args);
+                    if(command.codes === undefined)
+                    {
+                        throw error(`invalid key chord: ${args}`);
+                    }
+                    break;
+                }
+                case "sleep":
+                {
+                    // sleep SECONDS
+                    if(!/^\d+(?:\.\d+)?$/.test(args))
+                    {
+                        throw error(`invalid sleep duration: ${args}`);
+                    }
+                    command.sleep_sec = parseFloat(args);
+                    break;
+                }
+                case "exit":
+                {
+                    // exit [CODE]
+                    if(!/^\d*$/.test(args))
+                    {
+                        throw error(`invalid exit code: ${args}`);
+                    }
+                    command.exit_code = args.length ? parseInt(args, 10) : 0;
+                    break;
+                }
+                default:
+                    throw error(`unknown command: ${name}`);
+            }
+            commands.push(command);
+        }
+        return commands;
+    }
+
+    async run()
+    {
+        for(const command of this.commands)
+        {
+            if(this.emulator === undefined)
+            {
+                return;
+            }
+            switch(command.name)
+            {
+                case "wait":
+                    if(!await this.vga_observer.wait_for_text(command.regex, command.timeout_sec * 1000))
+                    {
+                        if(this.emulator !== undefined)
+                        {
+                            this.exit_handler(this.WAIT_FAILED_EXIT_CODE,
+                                `${command.location}: timeout waiting for ${command.regex}\n${this.vga_observer.format_screen()}`);
+                        }
+                        return;
+                    }
+                    break;
+                case "send":
+                    await this.emulator.keyboard_send_text(command.text);
+                    break;
+                case "key":
+                    await this.emulator.keyboard_send_keypress(command.codes);
+                    break;
+                case "sleep":
+                    await new Promise(resolve => this.sleep_timeout_h = setTimeout(resolve, command.sleep_sec * 1000));
+                    break;
+                case "exit":
+                    this.exit_handler(command.exit_code);
+                    return;
+            }
+        }
+        if(this.emulator !== undefined)
+        {
+            this.exit_handler(0);
+        }
+    }
+}
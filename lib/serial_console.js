@@ -0,0 +1,61 @@
+export class SerialConsole
+{
+    FLUSH_INTERVAL_MSEC = 1;
+
+    constructor(output_handler)
+    {
+        // output_handler(bytes) receives output bytes of the guest's first serial port (COM1)
+        this.output_handler = output_handler;
+        this.emulator = undefined;
+        this.output_bytes = [];
+        this.timeout_h = null;
+        this.serial_output_byte = byte => {
+            this.output_bytes.push(byte);
+            if(this.timeout_h === null)
+            {
+                // collect bytes written in a burst to pass them on in one piece
+                this.timeout_h = setTimeout(() => this.flush_output(), this.FLUSH_INTERVAL_MSEC);
+            }
+        };
+    }
+
+    start(emulator)
+    {
+        if(this.emulator === undefined)
+        {
+            this.emulator = emulator;
+            this.emulator.add_listener("serial0-output-byte", this.serial_output_byte);
+        }
+    }
+
+    stop()
+    {
+        if(this.emulator !== undefined)
+        {
+            this.emulator.remove_listener("serial0-output-byte", this.serial_output_byte);
+            clearTimeout(this.timeout_h);
+            this.flush_output();
+            this.emulator = undefined;
+        }
+    }
+
+    send(text)
+    {
+        // send text UTF-8 encoded to the guest's first serial port
+        if(this.emulator !== undefined)
+        {
+            this.emulator.serial_send_bytes(0, Buffer.from(text, "utf8"));
+        }
+    }
+
+    flush_output()
+    {
+        this.timeout_h = null;
+        if(this.output_bytes.length)
+        {
+            const bytes = Uint8Array.from(this.output_bytes);
+            this.output_bytes = [];
+            this.output_handler(bytes);
+        }
+    }
+}
@@ -0,0 +1,604 @@
+import fs from "node:fs";
+import path from "node:path";
+import url from "node:url";
+
+import { AnsiColors } from "./ansi_colors.js";
+import { AsciicastRecorder } from "./asciicast_recorder.js";
+import { CodePage } from "./code_page.js";
+import { DiskImage } from "./disk_image.js";
+import { GraphicsObserver } from "./graphics_observer.js";
+import { parse_key_chord } from "./key_chord.js";
+import { KeyboardLayout } from "./keyboard_layout.js";
+import { Local9pServer } from "./local_9p_server.js";
+import { Monitor } from "./monitor.js";
+import { RemoteServer } from "./remote_server.js";
+import { ScreenDump } from "./screen_dump.js";
+import { ScriptRunner } from "./script_runner.js";
+import { SerialConsole } from "./serial_console.js";
+import { StatusBar } from "./status_bar.js";
+import { StdinHandler } from "./stdin_handler.js";
+import { TranscriptLogger } from "./transcript_logger.js";
+import { TtyWriter } from "./tty_writer.js";
+import { VgaObserver } from "./vga_observer.js";
+import { VirtualNetwork } from "./virtual_network.js";
+
+// V86 maintains its graphics framebuffer only if ImageData is defined, which it is not in Node
+class ImageDataPolyfill
+{
+    constructor(data, width, height)
+    {
+        this.data = data;
+        this.width = width;
+        this.height = height;
+    }
+}
+
+// number of sessions that use globalThis.ImageData = ImageDataPolyfill
+let image_data_users = 0;
+
+function define_image_data()
+{
+    // define globalThis.ImageData while a session with graphics output runs, return the function that
+    // releases it, the last session to release it removes it from the host process again
+    if(typeof ImageData !== "undefined" && globalThis.ImageData !== ImageDataPolyfill)
+    {
+        return () => {};
+    }
+    globalThis.ImageData = ImageDataPolyfill;
+    image_data_users++;
+    let released = false;
+    return () => {
+        if(!released)
+        {
+            released = true;
+            if(--image_data_users === 0)
+            {
+                delete globalThis.ImageData;
+            }
+        }
+    };
+}
+
+export class Vga2TtySession
+{
+    DEFAULT_WAIT_TIMEOUT_MSEC = 30000;
+
+    constructor()
+    {
+        this.emulator = undefined;
+        this.vga_observer = undefined;
+        this.components = [];
+        this.exit_code = undefined;
+        this.exit_message = undefined;
+        this.exit_promise = undefined;
+        this.resolve_exit = undefined;
+        this.stopping = false;
+        this.savestate = undefined;
+        this.disk_images = [];
+        this.screen_dump = undefined;
+    }
+
+    async start(config)
+    {
+        // Start a new emulator instance and connect it to the tty (if config.tty is true).
+        //
+        // config holds:
+        //   V86 or libv86      V86 class, or path of the V86 library file to import it from
+        //   v86_config         V86 constructor options
+        //   tty                connect screen, keyboard and serial port to stdout and stdin (default: false)
+        //   headless           with tty, leave stdout and stdin alone and connect to remote terminals only
+        //   listen             array of addresses { protocol, host, port } that remote terminals connect to,
+        //                      protocol is tcp (telnet) or ws (WebSocket), needs tty
+        //   listen_control     the first remote terminal connected controls the session, others are read-only
+        //   listen_origins     origins of web pages besides the listening address that may connect to ws addresses
+        //   fullscreen         use full-screen instead of line mode
+        //   color              show VGA text colors
+        //   codepage           VGA code page name (default: cp437)
+        //   graphics           graphics mode output, one of none, blocks, sixel (default: none)
+        //   graphics_fps       maximum graphics frames per second
+        //   overflow           line mode output of rows wider than the terminal, one of wrap, truncate, scroll
+        //   statusbar          show emulator and session information in the bottom row of the terminal
+        //   locale             keyboard layout of the guest (default: us)
+        //   keymap             JSON file that maps host key sequences to guest key chords
+        //   paste_delay        delay in msec after each character of pasted text (default: 10)
+        //   mouse              pass the terminal's mouse clicks, drags and wheel to the guest's PS/2 mouse
+        //   escape_key         key sequence that opens the monitor prompt (default: CTRL+A)
+        //   hostfwd            array of host port forwarding rules { host_addr, host_port, guest_port }
+        //   net_loopback       cut off the built-in virtual network from the outside world
+        //   virtfs             share a host directory with the guest { path, mount_tag, readonly }
+        //   disk_mode          read the hda and hdb image files on demand, one of writeback (write changes
+        //                      to the image files when the session ends) or snapshot (discard changes),
+        //                      without disk_mode V86 loads the images into memory and discards changes
+        //   overlay            write changes of hda to this overlay file instead of its image file
+        //   serial             connect COM1 to stdio, vga+stdio or file:PATH
+        //   script             run script from file
+        //   log                append captured lines to file
+        //   log_timestamps     prefix logged lines with timestamps
+        //   record             write asciinema v2 recording to file
+        //   dump_on_exit       write the screen to file when the session ends and on signal SIGUSR1
+        //   dump_format        format of screen dumps, one of text, ansi, html (default: text)
+        //   snapshots_dir      write the screen to a numbered file in this directory each time it becomes idle
+        //   savestate          save emulator state to file when the session ends
+        //   debug_screenshots  show VGA screenshots instead of normal output
+        if(this.emulator !== undefined)
+        {
+            throw new Error("Session already started");
+        }
+        // functions that release what a failed start has acquired so far
+        const rollback = [];
+        try
+        {
+            await this.start_session(config, rollback);
+        }
+        catch(e)
+        {
+            for(const release of rollback.reverse())
+            {
+                await release();
+            }
+            this.emulator = undefined;
+            this.vga_observer = undefined;
+            this.screen_dump = undefined;
+            this.exit_promise = undefined;
+            throw e;
+        }
+    }
+
+    async start_session(config, rollback)
+    {
+        // create and start all session components, see start()
+        // a relative libv86 path is relative to the working directory like the paths in v86_config
+        const V86 = config.V86 || (await import(url.pathToFileURL(path.resolve(config.libv86)).href)).V86;
+        const tty = !! config.tty;
+        this.exit_code = undefined;
+        this.exit_message = undefined;
+        this.stopping = false;
+        this.savestate = config.savestate;
+        this.disk_images = [];
+        this.screen_dump = undefined;
+        this.exit_promise = new Promise(resolve => this.resolve_exit = resolve);
+
+        // create ScriptRunner instance
+        let script_runner;
+        if(config.script)
+        {
+            const exit_handler = (exit_code, message) => this.end_session(exit_code, message);
+            script_runner = new ScriptRunner(fs.readFileSync(config.script, "utf8"), config.script, exit_handler);
+        }
+
+        // create Local9pServer and DiskImage instances, they replace V86's filesystem, hda and hdb options
+        const local_9p_server = config.virtfs ? new Local9pServer(config.virtfs.path, config.virtfs) : undefined;
+        const handle9p = (reqbuf, reply) => local_9p_server.handle_message(reqbuf, reply);
+        const v86_config = this.create_v86_config(config, handle9p, (file, options) => {
+            const disk_image = new DiskImage(file, options);
+            this.disk_images.push(disk_image);
+            rollback.push(() => disk_image.close());
+            return disk_image;
+        });
+
+        // create CodePage instance
+        const codepage = new CodePage(config.codepage || "cp437");
+
+        // create TtyWriter instance
+        const colors = config.color ? new AnsiColors() : undefined;
+        const tty_writer = tty ? new TtyWriter({
+            fullscreen: config.fullscreen && !config.debug_screenshots,
+            colors: colors,
+            graphics_format: config.graphics,
+            overflow: config.overflow,
+            headless: config.headless,
+            statusbar: config.statusbar
+        }) : undefined;
+
+        // create TranscriptLogger and AsciicastRecorder instances
+        const transcript_logger = config.log ? new TranscriptLogger(config.log, config.log_timestamps) : undefined;
+        const asciicast_recorder = config.record ? new AsciicastRecorder(config.record) : undefined;
+        if(tty_writer && asciicast_recorder)
+        {
+            tty_writer.add_output_listener(data => asciicast_recorder.record_output(data));
+        }
+
+        // create SerialConsole instance
+        let serial_console;
+        let serial_fd;
+        const serial_stdio = tty && (config.serial === "stdio" || config.serial === "vga+stdio");
+        if(serial_stdio)
+        {
+            const decoder = new TextDecoder();
+            serial_console = new SerialConsole(bytes => tty_writer.write(decoder.decode(bytes, { stream: true })));
+        }
+        else if(config.serial?.startsWith("file:"))
+        {
+            serial_fd = fs.openSync(config.serial.slice("file:".length), "a");
+            rollback.push(() => fs.closeSync(serial_fd));
+            serial_console = new SerialConsole(bytes => fs.writeSync(serial_fd, bytes));
+        }
+
+        // create VgaObserver instance
+        const vga_output = tty_writer && config.serial !== "stdio";
+        const rows_handler = (rows, start, end, all_new, attrs) => {
+            if(vga_output && !tty_writer.fullscreen)
+            {
+                tty_writer.write_rows(rows, start, end, all_new, attrs);
+            }
+            transcript_logger?.log_rows(rows, start, end, all_new);
+        };
+        const screen_handler = vga_output && tty_writer.fullscreen ? (rows, rowids, attrs, clear) => tty_writer.write_screen(rows, rowids, attrs, clear) : undefined;
+        const cursor_handler = cursor => {
+            // the host cursor stays at the monitor prompt while it is open
+            if(vga_output && !monitor?.active)
+            {
+                tty_writer.place_cursor(cursor);
+            }
+        };
+        const vga_observer = new VgaObserver(rows_handler, {
+            debug_screenshots: config.debug_screenshots,
+            screen_handler: screen_handler,
+            cursor_handler: cursor_handler,
+            colors: colors,
+            codepage: codepage
+        });
+
+        // create ScreenDump instance
+        let screen_dump;
+        if(config.dump_on_exit || config.snapshots_dir)
+        {
+            screen_dump = new ScreenDump(vga_observer, {
+                format: config.dump_format,
+                dump_file: config.dump_on_exit,
+                snapshots_dir: config.snapshots_dir
+            });
+        }
+
+        // create GraphicsObserver instance
+        let graphics_observer;
+        let release_image_data;
+        if(vga_output && config.graphics && config.graphics !== "none" && !config.debug_screenshots)
+        {
+            const frame_handler = frame => tty_writer.write_frame(frame);
+            const mode_handler = graphical => {
+                if(graphical)
+                {
+                    tty_writer.enter_graphics();
+                }
+                else
+                {
+                    tty_writer.leave_graphics();
+                    vga_observer.redraw();
+                }
+            };
+            graphics_observer = new GraphicsObserver(frame_handler, mode_handler, {
+                fps: config.graphics_fps,
+                frame_size: (src_width, src_height) => tty_writer.frame_size(src_width, src_height)
+            });
+            release_image_data = define_image_data();
+            rollback.push(release_image_data);
+        }
+
+        // redraw the screen after the host terminal was resized
+        const redraw = () => {
+            if(tty_writer.graphical)
+            {
+                graphics_observer?.redraw();
+            }
+            else
+            {
+                vga_observer.redraw();
+            }
+        };
+        tty_writer?.add_resize_listener(redraw);
+
+        // create Monitor and StdinHandler instances
+        let monitor;
+        let stdin_handler;
+        if(tty && (process.stdin.isTTY || config.headless))
+        {
+            const keymap = config.keymap ? JSON.parse(fs.readFileSync(config.keymap, "utf8")) : undefined;
+            const quit_handler = () => {
+                tty_writer.write("Terminated by user\n");
+                this.end_session();
+            };
+            monitor = new Monitor(text => tty_writer.write(text), quit_handler, {
+                escape_key: config.escape_key,
+                vga_observer: vga_observer,
+                disk_images: this.disk_images,
+                type_handler: text => stdin_handler.type_text(text),
+                close_handler: () => vga_observer.redraw()
+            });
+            const focus_handler = input_focus => tty_writer.write(`\n[input focus: ${input_focus === "serial" ? "serial port" : "VGA keyboard"}]\n`);
+            stdin_handler = new StdinHandler({
+                monitor: monitor,
+                serial_console: serial_stdio ? serial_console : undefined,
+                focus_handler: focus_handler,
+                input_focus: config.serial === "stdio" ? "serial" : "vga",
+                keyboard_layout: new KeyboardLayout(config.locale || "us"),
+                keymap: keymap,
+                paste_delay: config.paste_delay,
+                mouse: config.mouse,
+                // the terminal shows guest text cells one to one in full-screen mode
+                terminal_size: () => tty_writer.fullscreen ? undefined : tty_writer.terminal_size(),
+                local_input: !config.headless
+            });
+            if(asciicast_recorder)
+            {
+                stdin_handler.add_input_listener(data => asciicast_recorder.record_input(data));
+            }
+        }
+
+        // create StatusBar instance
+        let status_bar;
+        if(tty_writer && config.statusbar)
+        {
+            status_bar = new StatusBar(text => tty_writer.write_status(text), {
+                input_focus: () => monitor?.active ? "monitor" : stdin_handler?.input_focus
+            });
+        }
+
+        // create RemoteServer instance, it shares the terminal output and takes keyboard input from its clients
+        let remote_server;
+        if(tty_writer && config.listen?.length)
+        {
+            remote_server = new RemoteServer({
+                listen: config.listen,
+                control: config.listen_control,
+                origins: config.listen_origins,
+                input_handler: text => stdin_handler?.handle_text(text, true),
+                resize_handler: (columns, rows) => {
+                    if(tty_writer.headless)
+                    {
+                        tty_writer.resize(columns, rows);
+                    }
+                },
+                connect_handler: client => {
+                    // show the current screen to the new client
+                    if(tty_writer.fullscreen || tty_writer.graphical)
+                    {
+                        redraw();
+                    }
+                    else
+                    {
+                        client.write(vga_observer.screen_text().trimRight().replace(/\n/g, "\r\n"));
+                    }
+                }
+            });
+            tty_writer.add_output_listener(data => remote_server.write(data));
+            await remote_server.listen();
+            rollback.push(() => remote_server.stop());
+        }
+
+        // create VirtualNetwork instance, its host ports are open before the emulator starts
+        let virtual_network;
+        if(config.hostfwd?.length || config.net_loopback)
+        {
+            virtual_network = new VirtualNetwork({ hostfwd: config.hostfwd, loopback: config.net_loopback });
+            await virtual_network.listen();
+            rollback.push(() => virtual_network.stop());
+        }
+
+        // create V86 instance
+        const emulator = new V86(v86_config);
+        rollback.push(() => emulator.destroy());
+
+        // wait for emulator to start
+        await new Promise(resolve => emulator.bus.register("emulator-started", () => resolve()));
+
+        // components in the order they are stopped
+        this.components = [vga_observer, screen_dump, graphics_observer, serial_console, virtual_network, local_9p_server, stdin_handler,
+            monitor, script_runner, status_bar, tty_writer, remote_server, transcript_logger, asciicast_recorder].filter(component => component);
+        if(serial_fd !== undefined)
+        {
+            this.components.push({ name: "serial port", stop: () => fs.closeSync(serial_fd) });
+        }
+        for(const disk_image of this.disk_images)
+        {
+            this.components.push({ name: `disk image ${disk_image.file}`, stop: () => disk_image.close() });
+        }
+        if(release_image_data)
+        {
+            this.components.push({ name: "ImageData", stop: release_image_data });
+        }
+        // from here on the components release everything, stopping a component that was not started does nothing
+        rollback.splice(0, rollback.length, () => emulator.destroy(), () => this.stop_components());
+
+        this.emulator = emulator;
+        this.vga_observer = vga_observer;
+        this.screen_dump = screen_dump;
+        transcript_logger?.start();
+        asciicast_recorder?.start();
+        screen_dump?.start();
+        tty_writer?.start();
+        status_bar?.start(emulator);
+        vga_observer.start(emulator);
+        graphics_observer?.start(emulator);
+        serial_console?.start(emulator);
+        virtual_network?.start(emulator);
+        local_9p_server?.start(emulator);
+        monitor?.start(emulator);
+        stdin_handler?.start(emulator);
+        script_runner?.start(emulator, vga_observer);
+    }
+
+    create_v86_config(config, handle9p, create_disk_image)
+    {
+        // return the V86 options of config.v86_config with the session's changes: with config.virtfs the
+        // filesystem is served by handle9p(reqbuf, reply), with config.disk_mode the hda and hdb images are
+        // replaced by create_disk_image(file, options), see DiskImage
+        let v86_config = config.v86_config;
+        if(config.virtfs)
+        {
+            v86_config = { ...v86_config, filesystem: { handle9p: handle9p } };
+        }
+        if(config.disk_mode)
+        {
+            v86_config = { ...v86_config };
+            for(const name of ["hda", "hdb"])
+            {
+                if(v86_config[name]?.url)
+                {
+                    v86_config[name] = create_disk_image(v86_config[name].url, {
+                        snapshot: config.disk_mode === "snapshot",
+                        overlay: name === "hda" ? config.overlay : undefined
+                    });
+                }
+            }
+        }
+        return v86_config;
+    }
+
+    getV86Config(config)
+    {
+        // return the V86 options that start(config) passes to V86 without opening any file, DiskImage
+        // instances are shown as { disk_image, snapshot, overlay } and the 9P handler by its directory
+        return this.create_v86_config(config, `handle9p of ${config.virtfs?.path}`,
+            (file, options) => ({ disk_image: file, ...options }));
+    }
+
+    async stop(exit_code, exit_message)
+    {
+        // stop emulator and all session components, resolves to the session's exit code
+        if(this.emulator !== undefined && !this.stopping)
+        {
+            this.stopping = true;
+            this.exit_code = exit_code || 0;
+            this.exit_message = exit_message;
+            const emulator = this.emulator;
+            await emulator.stop();
+            if(this.screen_dump?.dump_file)
+            {
+                try
+                {
+                    this.screen_dump.write_dump_file();
+                }
+                catch(e)
+                {
+                    this.add_exit_error(`Failed to write screen dump to ${this.screen_dump.dump_file}: ${e.message}`);
+                }
+            }
+            for(const disk_image of this.disk_images)
+            {
+                try
+                {
+                    if(!disk_image.snapshot)
+                    {
+                        disk_image.flush();
+                    }
+                }
+                catch(e)
+                {
+                    this.add_exit_error(`Failed to write changes to disk image ${disk_image.overlay_file || disk_image.file}: ${e.message}`);
+                }
+            }
+            if(this.savestate)
+            {
+                try
+                {
+                    fs.writeFileSync(this.savestate, new Uint8Array(await emulator.save_state()));
+                }
+                catch(e)
+                {
+                    this.add_exit_error(`Failed to save emulator state to ${this.savestate}: ${e.message}`);
+                }
+            }
+            this.stop_components();
+            this.emulator = undefined;
+            await emulator.destroy();
+            this.resolve_exit(this.exit_code);
+        }
+        return this.waitForExit();
+    }
+
+    stop_components()
+    {
+        // a component that fails to stop ends the session with an error, the others are stopped anyway
+        const components = this.components;
+        this.components = [];
+        for(const component of components)
+        {
+            try
+            {
+                component.stop();
+            }
+            catch(e)
+            {
+                this.add_exit_error(`Failed to stop ${component.name ?? component.constructor.name}: ${e.message}`);
+            }
+        }
+    }
+
+    async end_session(exit_code, exit_message)
+    {
+        // stop the session on behalf of one of its components, an error while stopping ends the session too
+        try
+        {
+            await this.stop(exit_code, exit_message);
+        }
+        catch(e)
+        {
+            this.add_exit_error(`Failed to stop the session: ${e.message}`);
+            this.stop_components();
+            this.emulator = undefined;
+            this.resolve_exit(this.exit_code);
+        }
+    }
+
+    add_exit_error(message)
+    {
+        // end the session with an error, message is added to the exit message
+        this.exit_code = this.exit_code || 1;
+        this.exit_message = [this.exit_message, message].filter(m => m).join("\n");
+    }
+
+    waitForExit()
+    {
+        // resolve to the exit code once the session has ended
+        return this.exit_promise || Promise.resolve(this.exit_code);
+    }
+
+    async waitForText(regex, timeout_msec)
+    {
+        // resolve once regex matches the screen text, whose rows have no trailing spaces, reject with the
+        // current screen after timeout_msec
+        this.check_started();
+        if(typeof regex === "string")
+        {
+            regex = new RegExp(regex);
+        }
+        if(!await this.vga_observer.wait_for_text(regex, timeout_msec ?? this.DEFAULT_WAIT_TIMEOUT_MSEC))
+        {
+            throw new Error(`Timeout waiting for ${regex}\n${this.vga_observer.format_screen()}`);
+        }
+    }
+
+    getScreen()
+    {
+        // return current screen rows
+        this.check_started();
+        return [...this.vga_observer.screen_rows];
+    }
+
+    async sendKeys(chord)
+    {
+        // press key chord given as string like "ctrl+alt+del" or as array of KeyboardEvent codes
+        this.check_started();
+        const codes = Array.isArray(chord) ? chord : parse_key_chord(chord);
+        if(codes === undefined)
+        {
+            throw new Error(`Invalid key chord: ${chord}`);
+        }
+        await this.emulator.keyboard_send_keypress(codes);
+    }
+
+    async typeText(text)
+    {
+        this.check_started();
+        await this.emulator.keyboard_send_text(text);
+    }
+
+    check_started()
+    {
+        if(this.emulator === undefined)
+        {
+            throw new Error("Session not started");
+        }
+    }
+}
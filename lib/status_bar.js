@@ -0,0 +1,126 @@
+export class StatusBar
+{
+    // Collects emulator and session information once per second and passes it on as one line of text:
+    // emulator speed, video mode, uptime, input focus and disk and network throughput.
+
+    UPDATE_INTERVAL_MSEC = 1000;
+
+    constructor(status_handler, options)
+    {
+        // status_handler(text) receives the status line
+        this.status_handler = status_handler;
+        // optional input_focus() returns the current input focus, one of "vga", "serial" or "monitor"
+        this.input_focus = options?.input_focus;
+        this.emulator = undefined;
+        this.interval_h = null;
+        this.start_time = undefined;
+        this.last_time = undefined;
+        this.last_instructions = undefined;
+        this.video_mode = undefined;
+        // bytes transferred since the last update
+        this.traffic = { disk_read: 0, disk_write: 0, net_receive: 0, net_transmit: 0 };
+        this.listeners = {
+            "screen-set-size": args => this.video_mode = this.format_video_mode(args[0], args[1], args[2]),
+            "ide-read-end": args => this.traffic.disk_read += args[1],
+            "ide-write-end": args => this.traffic.disk_write += args[1],
+            "eth-receive-end": args => this.traffic.net_receive += args[0],
+            "eth-transmit-end": args => this.traffic.net_transmit += args[0]
+        };
+    }
+
+    start(emulator)
+    {
+        if(this.emulator === undefined)
+        {
+            this.emulator = emulator;
+            this.start_time = this.last_time = performance.now();
+            this.last_instructions = emulator.get_instruction_counter();
+            this.video_mode = this.current_video_mode();
+            for(const [name, listener] of Object.entries(this.listeners))
+            {
+                emulator.add_listener(name, listener);
+            }
+            this.interval_h = setInterval(() => this.update(), this.UPDATE_INTERVAL_MSEC);
+            this.update();
+        }
+    }
+
+    stop()
+    {
+        if(this.emulator !== undefined)
+        {
+            clearInterval(this.interval_h);
+            this.interval_h = null;
+            for(const [name, listener] of Object.entries(this.listeners))
+            {
+                this.emulator.remove_listener(name, listener);
+            }
+            this.emulator = undefined;
+        }
+    }
+
+    update()
+    {
+        const now = performance.now();
+        const seconds = (now - this.last_time) / 1000;
+        const instructions = this.emulator.get_instruction_counter();
+        const speed = this.emulator.is_running() && seconds > 0 ?
+            `${((instructions - this.last_instructions) / seconds / 1e6).toFixed(1)} MIPS` : "paused";
+        const rate = bytes => seconds > 0 ? this.format_bytes(bytes / seconds) + "/s" : "-";
+        const focus_names = { vga: "VGA keyboard", serial: "serial port", monitor: "monitor" };
+        const input_focus = this.input_focus?.();
+        const fields = [
+            speed,
+            this.video_mode,
+            "up " + this.format_duration((now - this.start_time) / 1000),
+            input_focus ? "input: " + focus_names[input_focus] : undefined,
+            `disk r ${rate(this.traffic.disk_read)} w ${rate(this.traffic.disk_write)}`,
+            `net rx ${rate(this.traffic.net_receive)} tx ${rate(this.traffic.net_transmit)}`
+        ];
+        this.last_time = now;
+        this.last_instructions = instructions;
+        for(const name of Object.keys(this.traffic))
+        {
+            this.traffic[name] = 0;
+        }
+        this.status_handler(" " + fields.filter(field => field).join(" | "));
+    }
+
+    current_video_mode()
+    {
+        // return the video mode the emulator is in when this status bar starts, it may have been restored from a saved state
+        const vga = this.emulator.v86?.cpu?.devices?.vga;
+        if(!vga)
+        {
+            return undefined;
+        }
+        return vga.graphical_mode ? this.format_video_mode(vga.screen_width, vga.screen_height, vga.svga_bpp) :
+            this.format_video_mode(vga.max_cols, vga.max_rows, 0);
+    }
+
+    format_video_mode(width, height, bpp)
+    {
+        // screen-set-size arguments: text columns and rows with bpp 0, or pixels and bits per pixel
+        return bpp ? `graphics ${width}x${height}x${bpp}` : `text ${width}x${height}`;
+    }
+
+    format_duration(seconds)
+    {
+        seconds = Math.floor(seconds);
+        const minutes = Math.floor(seconds / 60);
+        return `${Math.floor(minutes / 60)}:${(minutes % 60).toString().padStart(2, "0")}:${(seconds % 60).toString().padStart(2, "0")}`;
+    }
+
+    format_bytes(bytes)
+    {
+        if(bytes < 1024)
+        {
+            return Math.round(bytes) + "B";
+        }
+        else if(bytes < 1024 * 1024)
+        {
+            return (bytes / 1024).toFixed(1) + "K";
+        }
+        return (bytes / 1024 / 1024).toFixed(1) + "M";
+    }
+}
@@ -0,0 +1,397 @@
+import { KeyDecoder } from "./key_decoder.js";
+import { parse_key_chord } from "./key_chord.js";
+import { KeyboardLayout } from "./keyboard_layout.js";
+
+export class StdinHandler
+{
+    FOCUS_HOTKEY = "\u001d";   // CTRL+]
+    BRACKETED_PASTE_ON = "\u001b[?2004h";
+    BRACKETED_PASTE_OFF = "\u001b[?2004l";
+    DEFAULT_PASTE_DELAY_MSEC = 10;
+    MOUSE_REPORTING_ON = "\u001b[?1002h\u001b[?1006h";    // clicks, drags and wheel as SGR reports
+    MOUSE_REPORTING_OFF = "\u001b[?1006l\u001b[?1002l";
+    // mouse movement per guest text cell, DOS mouse drivers move their pointer by one text cell
+    // per 8 mickeys horizontally and per 16 mickeys vertically
+    MOUSE_CELL_MICKEYS_X = 8;
+    MOUSE_CELL_MICKEYS_Y = 16;
+
+    constructor(options)
+    {
+        // optional Monitor instance that takes over input after its escape key was pressed
+        this.monitor = options?.monitor;
+        // optional SerialConsole instance that can receive input focus
+        this.serial_console = options?.serial_console;
+        // optional focus_handler(input_focus) is called after input focus was switched
+        this.focus_handler = options?.focus_handler;
+        // input focus, either "vga" (keyboard) or "serial" (serial port)
+        this.input_focus = this.serial_console && options?.input_focus === "serial" ? "serial" : "vga";
+        if(this.serial_console && this.monitor?.escape_key === this.FOCUS_HOTKEY)
+        {
+            throw new Error("Invalid escape key: CTRL+] switches input focus");
+        }
+        // keyboard layout of the guest, used to type the characters received from stdin
+        this.keyboard_layout = options?.keyboard_layout || new KeyboardLayout("us");
+        // optional keymap object that maps host key sequences to key chords
+        this.keymap = this.parse_keymap(options?.keymap || {});
+        // if false, stdin is left alone and only input passed to handle_text() is handled
+        this.local_input = options?.local_input ?? true;
+        // delay in msec after each character of pasted text, gives the guest time to read it from the keyboard controller
+        this.paste_delay = options?.paste_delay ?? this.DEFAULT_PASTE_DELAY_MSEC;
+        // if true, the terminal's mouse reports are passed to the guest's PS/2 mouse
+        this.mouse = !! options?.mouse;
+        // optional terminal_size() returns [columns, rows] of the terminal area that the guest screen is
+        // scaled to for mouse movements, without it one terminal cell is one guest text cell
+        this.terminal_size = options?.terminal_size;
+        this.key_decoder = new KeyDecoder(this.keymap.keys());
+        this.emulator = undefined;
+        this.input_listeners = new Set();
+        this.text_decoder = undefined;
+        this.pending_input = undefined;
+        this.typing = false;
+        this.mouse_position = undefined;
+        this.mouse_buttons = [false, false, false];
+        this.data_handler = data => this.handle_data(data);
+    }
+
+    start(emulator)
+    {
+        if(this.emulator === undefined)
+        {
+            this.emulator = emulator;
+            this.text_decoder = new TextDecoder();
+            this.pending_input = Promise.resolve();
+            if(this.local_input)
+            {
+                // raw mode passes every key to us as it is typed, including CTRL+C
+                process.stdin.setRawMode(true);
+                process.stdin.on("data", this.data_handler);
+                // the terminal marks pasted text so that it can be typed at a pace the guest keeps up with
+                process.stdout.write(this.BRACKETED_PASTE_ON);
+                if(this.mouse)
+                {
+                    process.stdout.write(this.MOUSE_REPORTING_ON);
+                }
+            }
+        }
+    }
+
+    stop()
+    {
+        if(this.emulator !== undefined)
+        {
+            if(this.local_input)
+            {
+                process.stdin.removeListener("data", this.data_handler);
+                process.stdout.write(this.BRACKETED_PASTE_OFF);
+                if(this.mouse)
+                {
+                    process.stdout.write(this.MOUSE_REPORTING_OFF);
+                }
+                process.stdin.setRawMode(false);
+                process.stdin.pause();
+            }
+            this.emulator = undefined;
+            this.typing = false;
+            this.mouse_position = undefined;
+            this.mouse_buttons = [false, false, false];
+        }
+    }
+
+    add_input_listener(listener)
+    {
+        // listener(sequence) is called with the character sequence of each keypress
+        this.input_listeners.add(listener);
+    }
+
+    remove_input_listener(listener)
+    {
+        this.input_listeners.delete(listener);
+    }
+
+    parse_keymap(keymap)
+    {
+        // return Map of host key sequence to key chord, a chord is given as string like "ctrl+left",
+        // as array of KeyboardEvent codes or as array of raw scancodes
+        const chords = new Map();
+        for(const [sequence, chord] of Object.entries(keymap))
+        {
+            let codes;
+            if(typeof chord === "string")
+            {
+                codes = parse_key_chord(chord);
+            }
+            else if(Array.isArray(chord) && chord.length && chord.every(code => typeof code === "string"))
+            {
+                codes = parse_key_chord(chord.join("+"));
+            }
+            else if(Array.isArray(chord) && chord.length && chord.every(code => Number.isInteger(code) && code >= 0 && code <= 0xff))
+            {
+                codes = chord;
+            }
+            if(sequence === "" || codes === undefined)
+            {
+                throw new Error(`Invalid keymap entry: ${JSON.stringify(sequence)}: ${JSON.stringify(chord)}`);
+            }
+            chords.set(sequence, codes);
+        }
+        return chords;
+    }
+
+    handle_data(data)
+    {
+        this.handle_text(this.text_decoder.decode(data, { stream: true }));
+    }
+
+    handle_text(text, remote)
+    {
+        // handle keyboard input text from stdin or, with remote true, from a remote terminal, keys are
+        // handled strictly one after the other
+        if(this.emulator === undefined)
+        {
+            return;
+        }
+        const keys = this.key_decoder.decode(text);
+        for(const key of keys)
+        {
+            if(this.typing && key.sequence === this.monitor?.escape_key && !remote)
+            {
+                // the monitor's escape key cancels typing text, then opens the monitor prompt as usual
+                this.typing = false;
+            }
+            this.queue_input(() => this.handle_key(key, remote));
+        }
+    }
+
+    type_text(text)
+    {
+        // type text on the guest's keyboard after the keys that are already queued
+        if(this.emulator !== undefined)
+        {
+            this.queue_input(() => this.send_text(text));
+        }
+    }
+
+    queue_input(handler)
+    {
+        // call async handler() after the input queued before has been handled, an error is reported and
+        // the input queued after it is still handled
+        this.pending_input = this.pending_input.then(handler).catch(e => console.error("keyboard input failed:", e.message));
+    }
+
+    async handle_key(key, remote)
+    {
+        if(this.emulator === undefined)
+        {
+            return;
+        }
+        for(const listener of this.input_listeners)
+        {
+            listener(key.sequence);
+        }
+
+        // keys of remote terminals never reach the monitor, its commands read and write host files
+        if(this.monitor?.active && !remote)
+        {
+            // the monitor prompt takes all input, it returns keys that are meant for the guest
+            key = await this.monitor.handle_key(key);
+            if(key === undefined)
+            {
+                return;
+            }
+        }
+        else if(key.sequence === this.monitor?.escape_key && !remote)
+        {
+            this.monitor.open();
+            return;
+        }
+
+        if(key.mouse !== undefined)
+        {
+            if(this.mouse && this.input_focus === "vga")
+            {
+                this.handle_mouse(key.mouse);
+            }
+        }
+        else if(key.sequence === this.FOCUS_HOTKEY && this.serial_console)
+        {
+            // switch input focus between VGA keyboard and serial port
+            this.input_focus = this.input_focus === "serial" ? "vga" : "serial";
+            this.focus_handler?.(this.input_focus);
+        }
+        else if(this.input_focus === "serial")
+        {
+            // serial terminals understand the host terminal's character sequences as they are
+            this.serial_console.send(key.paste ?? key.sequence);
+        }
+        else if(key.paste !== undefined)
+        {
+            await this.send_text(key.paste);
+        }
+        else if(key.custom)
+        {
+            const codes = this.keymap.get(key.sequence);
+            if(typeof codes[0] === "number")
+            {
+                await this.emulator.keyboard_send_scancodes(codes);
+            }
+            else
+            {
+                await this.emulator.keyboard_send_keypress(codes);
+            }
+        }
+        else
+        {
+            for(const chord of this.key_chords(key) || [])
+            {
+                await this.emulator.keyboard_send_keypress(chord);
+            }
+        }
+    }
+
+    handle_mouse(mouse)
+    {
+        // translate SGR mouse report to relative PS/2 mouse events, the guest's pointer follows the
+        // terminal's pointer from where the terminal's pointer was first seen
+        const bus = this.emulator.bus;
+        if(mouse.button & 64)
+        {
+            // wheel up, down, left and right
+            const direction = mouse.button & 1 ? -1 : 1;
+            bus.send("mouse-wheel", mouse.button & 2 ? [0, -direction] : [direction, 0]);
+            return;
+        }
+        // pointer position in mickeys, rounded the same way each time so that no error adds up
+        const [scale_x, scale_y] = this.mouse_scale();
+        const position = [Math.round(mouse.x * scale_x * this.MOUSE_CELL_MICKEYS_X), Math.round(mouse.y * scale_y * this.MOUSE_CELL_MICKEYS_Y)];
+        if(this.mouse_position !== undefined)
+        {
+            const delta_x = position[0] - this.mouse_position[0];
+            const delta_y = this.mouse_position[1] - position[1];
+            if(delta_x || delta_y)
+            {
+                bus.send("mouse-delta", [delta_x, delta_y]);
+            }
+        }
+        this.mouse_position = position;
+        if(!(mouse.button & 32))
+        {
+            // buttons 0 to 2 are left, middle and right, button 3 is the release of any button
+            const button = mouse.button & 3;
+            if(button === 3)
+            {
+                this.mouse_buttons = [false, false, false];
+            }
+            else
+            {
+                this.mouse_buttons[button] = !mouse.release;
+            }
+            bus.send("mouse-click", [...this.mouse_buttons]);
+        }
+    }
+
+    mouse_scale()
+    {
+        // return guest text cells per terminal cell [horizontally, vertically], graphics modes count cells of
+        // 8x16 pixels like VGA text mode
+        const [columns, rows] = this.terminal_size?.() || [];
+        const vga = this.emulator.v86?.cpu?.devices?.vga;
+        if(!columns || !rows || !vga)
+        {
+            return [1, 1];
+        }
+        const [guest_columns, guest_rows] = vga.graphical_mode ? [vga.screen_width / 8, vga.screen_height / 16] : [vga.max_cols, vga.max_rows];
+        return [guest_columns / columns || 1, guest_rows / rows || 1];
+    }
+
+    async send_text(text)
+    {
+        // type text one character after the other with paste_delay in between, line breaks are typed
+        // as ENTER and other control characters are dropped
+        this.typing = true;
+        try
+        {
+            for(const chr of text.replace(/\r\n?/g, "\n"))
+            {
+                if(!this.typing || this.emulator === undefined)
+                {
+                    break;
+                }
+                let chords;
+                if(chr === "\n")
+                {
+                    chords = [["Enter"]];
+                }
+                else if(chr === "\t")
+                {
+                    chords = [["Tab"]];
+                }
+                else if(chr >= " " && chr !== "\u007f")
+                {
+                    chords = this.key_chords({ sequence: chr, char: chr });
+                }
+                if(chords === undefined)
+                {
+                    continue;
+                }
+                for(const chord of chords)
+                {
+                    await this.emulator.keyboard_send_keypress(chord);
+                }
+                if(this.paste_delay > 0)
+                {
+                    await new Promise(resolve => setTimeout(resolve, this.paste_delay));
+                }
+            }
+        }
+        finally
+        {
+            this.typing = false;
+        }
+    }
+
+    key_chords(key)
+    {
+        // return list of key chords that type key on the guest's keyboard layout, or undefined
+        const modifiers = [];
+        if(key.ctrl)
+        {
+            modifiers.push("ControlLeft");
+        }
+        if(key.alt)
+        {
+            modifiers.push("AltLeft");
+        }
+        if(key.meta)
+        {
+            modifiers.push("MetaLeft");
+        }
+        if(key.shift)
+        {
+            modifiers.push("ShiftLeft");
+        }
+        if(key.code !== undefined)
+        {
+            return [[...modifiers, key.code]];
+        }
+        else if(key.char !== undefined)
+        {
+            const chords = this.keyboard_layout.char_chords(key.char);
+            if(chords === undefined)
+            {
+                console.error(`unhandled keyboard input, character not in keyboard layout "${this.keyboard_layout.name}":`, key.char);
+            }
+            else if(modifiers.length)
+            {
+                // modifiers apply to the key of the character itself, not to a dead key in front of it
+                const chord = chords[chords.length - 1];
+                return [[...modifiers, ...chord.filter(code => !modifiers.includes(code))]];
+            }
+            return chords;
+        }
+        else
+        {
+            console.error("unhandled keyboard input, sequence:", JSON.stringify(key.sequence));
+        }
+        return undefined;
+    }
+}
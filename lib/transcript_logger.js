@@ -0,0 +1,65 @@
+import fs from "node:fs";
+
+export class TranscriptLogger
+{
+    constructor(filename, timestamps)
+    {
+        this.filename = filename;
+        this.timestamps = !! timestamps;
+        this.fd = undefined;
+        // last captured row, it is incomplete until another row follows it
+        this.pending_row = undefined;
+        this.pending_time = undefined;
+    }
+
+    start()
+    {
+        if(this.fd === undefined)
+        {
+            this.fd = fs.openSync(this.filename, "a");
+            this.pending_row = undefined;
+        }
+    }
+
+    stop()
+    {
+        if(this.fd !== undefined)
+        {
+            this.flush_pending_row();
+            fs.closeSync(this.fd);
+            this.fd = undefined;
+        }
+    }
+
+    log_rows(rows, start, end, all_new)
+    {
+        // same arguments as VgaObserver's rows_handler: rows[start] replaces the pending
+        // row unless all_new is true, every row that is followed by another row is complete
+        if(this.fd === undefined)
+        {
+            return;
+        }
+        for(let i = start; i < end; i++)
+        {
+            if(i > start || all_new)
+            {
+                this.flush_pending_row();
+            }
+            if(this.pending_row === undefined)
+            {
+                this.pending_time = new Date();
+            }
+            this.pending_row = rows[i].trimRight();
+        }
+    }
+
+    flush_pending_row()
+    {
+        if(this.pending_row !== undefined)
+        {
+            const prefix = this.timestamps ? "[" + this.pending_time.toISOString() + "] " : "";
+            fs.writeSync(this.fd, prefix + this.pending_row + "\n");
+            this.pending_row = undefined;
+        }
+    }
+}
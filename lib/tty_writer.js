@@ -0,0 +1,573 @@
+export class TtyWriter
+{
+    ANSI_ERASE_TO_EOL = "\u001b[K";
+    ANSI_ERASE_BELOW = "\u001b[J";
+    ANSI_ERASE_SCREEN = "\u001b[2J";
+    ANSI_ALT_SCREEN_ENTER = "\u001b[?1049h";
+    ANSI_ALT_SCREEN_LEAVE = "\u001b[?1049l";
+    ANSI_CURSOR_HIDE = "\u001b[?25l";
+    ANSI_CURSOR_SHOW = "\u001b[?25h";
+    ANSI_SGR_RESET = "\u001b[0m";
+    ANSI_SGR_REVERSE = "\u001b[7m";
+    ANSI_CURSOR_SAVE = "\u001b7";
+    ANSI_CURSOR_RESTORE = "\u001b8";
+    ANSI_SCROLL_REGION_RESET = "\u001b[r";
+    ANSI_CURSOR_STYLE_RESET = "\u001b[0 q";
+    ANSI_CURSOR_STYLE_BLOCK = "\u001b[1 q";
+    ANSI_CURSOR_STYLE_UNDERLINE = "\u001b[3 q";
+    UPPER_HALF_BLOCK = "\u2580";
+    SIXEL_MAX_WIDTH = 800;
+    SIXEL_MAX_HEIGHT = 600;
+
+    constructor(options)
+    {
+        // if true, the guest screen is drawn on the host terminal's alternate screen instead of line mode output
+        this.fullscreen = !! options?.fullscreen;
+        // optional AnsiColors instance
+        this.colors = options?.colors;
+        // graphics output format, one of "blocks" or "sixel"
+        this.graphics_format = options?.graphics_format || "blocks";
+        // line mode output of rows wider than the host terminal, one of "wrap" (continue on the
+        // next lines), "truncate" (cut off at the right edge) or "scroll" (like truncate, but the
+        // last row shows its end), full-screen mode always truncates
+        this.overflow = options?.overflow || "wrap";
+        // if true, output goes to the output listeners only and the terminal size is set by resize()
+        this.headless = !! options?.headless;
+        this.headless_size = [undefined, undefined];
+        // if true, the bottom row of the host terminal shows the text passed to write_status(), it is
+        // kept out of the scrolling output by a scroll region
+        this.statusbar = !! options?.statusbar;
+        this.status_text = "";
+        this.started = false;
+        this.graphical = false;
+        this.frame_rows = [];
+        // number of terminal lines of the last row written in line mode, undefined after the
+        // terminal width changed because the terminal may have reflowed them
+        this.pending_lines = 1;
+        // guest row index, rows and terminal column of the end of the line mode output, rowid is
+        // undefined if other text was written after the last row
+        this.output_end = { rowid: undefined, rows: undefined, column: 0 };
+        // number of lines above the end of the output the host cursor was moved to, to show the guest cursor
+        // there, undefined if the host cursor is at the end of the output
+        this.cursor_lines_up = undefined;
+        // cursor style sequence written last
+        this.cursor_style = undefined;
+        this.columns = this.terminal_size()[0];
+        this.output_listeners = new Set();
+        this.resize_listeners = new Set();
+        this.exit_handler = () => this.stop();
+        this.resize_handler = () => this.handle_resize();
+    }
+
+    start()
+    {
+        if(!this.started)
+        {
+            this.started = true;
+            // make sure to restore the host terminal even if the process exits without calling stop()
+            process.on("exit", this.exit_handler);
+            if(!this.headless)
+            {
+                process.stdout.on("resize", this.resize_handler);
+            }
+            if(this.fullscreen)
+            {
+                // switch host terminal to the alternate screen
+                this.write(this.ANSI_ALT_SCREEN_ENTER + this.ANSI_ERASE_SCREEN);
+            }
+            this.write(this.scroll_region() + this.status_line());
+        }
+    }
+
+    stop()
+    {
+        if(this.started)
+        {
+            this.leave_graphics();
+            this.started = false;
+            process.removeListener("exit", this.exit_handler);
+            process.stdout.removeListener("resize", this.resize_handler);
+            if(this.statusbar)
+            {
+                const [, rows] = this.host_terminal_size();
+                this.write(this.ANSI_CURSOR_SAVE + this.ANSI_SCROLL_REGION_RESET + (rows ? this.cursor_to(rows - 1, 0) : "") +
+                    this.ANSI_ERASE_TO_EOL + this.ANSI_CURSOR_RESTORE);
+            }
+            if(this.cursor_style !== undefined)
+            {
+                this.write(this.ANSI_CURSOR_SHOW + this.ANSI_CURSOR_STYLE_RESET);
+                this.cursor_style = undefined;
+            }
+            if(this.fullscreen)
+            {
+                this.write(this.ANSI_ALT_SCREEN_LEAVE);
+            }
+        }
+    }
+
+    add_output_listener(listener)
+    {
+        // listener(data) is called with all data written to stdout
+        this.output_listeners.add(listener);
+    }
+
+    remove_output_listener(listener)
+    {
+        this.output_listeners.delete(listener);
+    }
+
+    add_resize_listener(listener)
+    {
+        // listener() is called after the host terminal was resized
+        this.resize_listeners.add(listener);
+    }
+
+    remove_resize_listener(listener)
+    {
+        this.resize_listeners.delete(listener);
+    }
+
+    terminal_size()
+    {
+        // return [columns, rows] of the host terminal available for output, undefined if unknown
+        const [columns, rows] = this.host_terminal_size();
+        return [columns, this.statusbar && rows > 1 ? rows - 1 : rows];
+    }
+
+    host_terminal_size()
+    {
+        // return [columns, rows] of the host terminal including the status line
+        return this.headless ? this.headless_size : [process.stdout.columns, process.stdout.rows];
+    }
+
+    resize(columns, rows)
+    {
+        // set the terminal size of a headless TtyWriter
+        this.headless_size = [columns, rows];
+        this.handle_resize();
+    }
+
+    handle_resize()
+    {
+        // SIGWINCH: the host terminal was resized
+        const [columns] = this.terminal_size();
+        if(columns !== this.columns)
+        {
+            this.columns = columns;
+            this.pending_lines = undefined;
+        }
+        if(this.graphical)
+        {
+            this.frame_rows = [];
+            this.write(this.ANSI_ERASE_SCREEN);
+        }
+        if(this.started)
+        {
+            this.write(this.scroll_region() + this.status_line());
+        }
+        for(const listener of this.resize_listeners)
+        {
+            listener();
+        }
+    }
+
+    write(data)
+    {
+        // write text that continues the output, the host cursor first returns to the end of the output
+        if(!data)
+        {
+            return;
+        }
+        this.output(this.cursor_return() + data);
+        this.output_end.rowid = undefined;
+    }
+
+    output(data)
+    {
+        if(!data)
+        {
+            return;
+        }
+        if(!this.headless)
+        {
+            process.stdout.write(data);
+        }
+        for(const listener of this.output_listeners)
+        {
+            listener(data);
+        }
+    }
+
+    enter_graphics()
+    {
+        // draw graphics frames on the alternate screen to keep line mode output intact
+        if(this.started && !this.graphical)
+        {
+            this.graphical = true;
+            this.frame_rows = [];
+            this.write((this.fullscreen ? "" : this.ANSI_ALT_SCREEN_ENTER) + this.ANSI_ERASE_SCREEN + this.ANSI_CURSOR_HIDE +
+                this.status_line());
+        }
+    }
+
+    leave_graphics()
+    {
+        if(this.graphical)
+        {
+            this.graphical = false;
+            this.frame_rows = [];
+            this.write(this.ANSI_CURSOR_SHOW + (this.fullscreen ? this.ANSI_ERASE_SCREEN : this.ANSI_ALT_SCREEN_LEAVE) +
+                this.status_line());
+            if(this.cursor_style !== undefined)
+            {
+                // the cursor is shown again, the guest cursor's style is written again with the next cursor update
+                this.cursor_style = this.ANSI_CURSOR_SHOW;
+            }
+        }
+    }
+
+    write_rows(rows, start, end, all_new, attrs)
+    {
+        // line mode: append rows[start : end] like a teletype, rows[start] replaces the
+        // last row written unless all_new is true
+        let output = [];
+        if(all_new || this.pending_lines === undefined)
+        {
+            output.push("\n");
+        }
+        else if(this.pending_lines > 1)
+        {
+            // return to the first line of the last row
+            output.push("\u001b[" + (this.pending_lines - 1) + "A");
+        }
+        // erasing before writing also works for rows as wide as the terminal, whose cursor stays in
+        // the last column where erasing to the end of the line would erase the row's last character
+        output.push("\r", this.ANSI_ERASE_BELOW);
+        let lines = [];
+        for(let i = start; i < end; i++)
+        {
+            lines = this.format_lines(rows, attrs, i, i === end - 1);
+            output.push(lines.join("\n"), i < end - 1 ? "\n" : "");
+            this.pending_lines = lines.length;
+        }
+        this.write(output.join(""));
+        const last_line = lines.length ? lines[lines.length - 1] : "";
+        this.output_end = { rowid: end - 1, rows: rows, column: last_line.replace(/\u001b\[[0-9;]*m/g, "").length };
+    }
+
+    place_cursor(cursor)
+    {
+        // move the host cursor to the guest cursor { rowid, colid, visible, shape } and give it the guest
+        // cursor's visibility and shape, shape is "block" or "underline", in line mode the host cursor
+        // stays at the end of the output if the guest cursor's row is not on the host screen
+        if(!this.started || this.graphical)
+        {
+            return;
+        }
+        const style = cursor.visible ?
+            this.ANSI_CURSOR_SHOW + (cursor.shape === "block" ? this.ANSI_CURSOR_STYLE_BLOCK : this.ANSI_CURSOR_STYLE_UNDERLINE) :
+            this.ANSI_CURSOR_HIDE;
+        const output = [style !== this.cursor_style ? style : ""];
+        this.cursor_style = style;
+        if(this.fullscreen)
+        {
+            const [columns = Infinity, rows = Infinity] = this.terminal_size();
+            if(cursor.rowid < rows)
+            {
+                output.push(this.cursor_to(cursor.rowid, Math.min(cursor.colid, columns - 1)));
+            }
+        }
+        else
+        {
+            output.push(this.cursor_return());
+            const position = this.line_position(cursor.rowid, cursor.colid);
+            if(position !== undefined)
+            {
+                const [lines_up, column] = position;
+                output.push(lines_up ? "\u001b[" + lines_up + "A" : "", "\u001b[" + (column + 1) + "G");
+                this.cursor_lines_up = lines_up;
+            }
+        }
+        this.output(output.join(""));
+    }
+
+    line_position(rowid, colid)
+    {
+        // return [lines above the end of the output, column] of guest row rowid and column colid in line mode,
+        // or undefined if that row is not on the host screen
+        const { rowid: end_rowid, rows } = this.output_end;
+        const [columns, screen_rows] = this.terminal_size();
+        if(end_rowid === undefined || rowid > end_rowid || this.pending_lines === undefined || !columns)
+        {
+            return undefined;
+        }
+        // the line of the row that shows colid and the column in that line, see format_lines()
+        const lines = this.format_lines(rows, undefined, rowid, rowid === end_rowid);
+        let line = 0;
+        let column = colid;
+        if(rows[rowid].length > columns)
+        {
+            if(this.overflow === "wrap")
+            {
+                line = Math.min(Math.floor(colid / columns), lines.length - 1);
+                column = colid - line * columns;
+            }
+            else if(this.overflow === "scroll" && rowid === end_rowid)
+            {
+                column = colid - Math.max(0, rows[rowid].trimRight().length - columns);
+            }
+        }
+        let lines_up = this.pending_lines - 1 - line;
+        if(rowid < end_rowid)
+        {
+            lines_up = lines.length - line;
+            for(let i = rowid + 1; i < end_rowid; i++)
+            {
+                lines_up += this.format_lines(rows, undefined, i, false).length;
+            }
+            lines_up += this.pending_lines - 1;
+        }
+        if(lines_up < 0 || lines_up >= (screen_rows || Infinity))
+        {
+            return undefined;
+        }
+        return [lines_up, Math.max(0, Math.min(column, columns - 1))];
+    }
+
+    cursor_return()
+    {
+        // return sequence that moves the host cursor from the guest cursor back to the end of the output
+        if(this.cursor_lines_up === undefined)
+        {
+            return "";
+        }
+        const lines_down = this.cursor_lines_up;
+        this.cursor_lines_up = undefined;
+        return (lines_down ? "\u001b[" + lines_down + "B" : "") + "\u001b[" + (this.output_end.column + 1) + "G";
+    }
+
+    format_lines(rows, attrs, rowid, last)
+    {
+        // return row rows[rowid] as array of lines that fit into the host terminal's width,
+        // last is true for the last row written
+        const row = rows[rowid];
+        const attr_row = this.colors ? attrs?.[rowid] : undefined;
+        const [columns] = this.terminal_size();
+        if(!columns || row.length <= columns)
+        {
+            return [this.format_row(rows, attrs, rowid, last)];
+        }
+        const content_end = row.trimRight().length;
+        let ranges;
+        if(this.overflow === "wrap")
+        {
+            ranges = [];
+            for(let from = 0; from === 0 || from < content_end; from += columns)
+            {
+                ranges.push([from, Math.min(from + columns, content_end)]);
+            }
+        }
+        else if(this.overflow === "scroll" && last)
+        {
+            ranges = [[Math.max(0, content_end - columns), content_end]];
+        }
+        else
+        {
+            ranges = [[0, Math.min(columns, content_end)]];
+        }
+        return ranges.map(([from, to]) => this.format_text(row.slice(from, to), attr_row?.slice(from, to), true));
+    }
+
+    write_screen(rows, rowids, attrs, clear)
+    {
+        // full-screen mode: redraw rows[rowid] for each rowid in rowids[] at its absolute position,
+        // erase the complete host screen first if clear is true, rows are clipped to the host terminal
+        if(!rowids.length && !clear)
+        {
+            return;
+        }
+        const [columns = Infinity, screen_rows = Infinity] = this.terminal_size();
+        let output = [clear ? this.ANSI_ERASE_SCREEN + this.status_line() : ""];
+        for(const rowid of rowids)
+        {
+            if(rowid < screen_rows)
+            {
+                const row = rows[rowid].slice(0, columns);
+                const attr_row = this.colors ? attrs?.[rowid]?.slice(0, columns) : undefined;
+                output.push(this.cursor_to(rowid, 0), this.ANSI_ERASE_TO_EOL, this.format_text(row, attr_row, true));
+            }
+        }
+        this.write(output.join(""));
+    }
+
+    write_status(text)
+    {
+        // show text in the status line
+        this.status_text = text;
+        if(this.started)
+        {
+            this.output(this.status_line());
+        }
+    }
+
+    status_line()
+    {
+        // return sequence that draws the status line in reverse video without moving the cursor
+        const [columns, rows] = this.host_terminal_size();
+        if(!this.statusbar || !(rows > 1))
+        {
+            return "";
+        }
+        const text = columns ? this.status_text.padEnd(columns).slice(0, columns) : this.status_text;
+        return this.ANSI_CURSOR_SAVE + this.cursor_to(rows - 1, 0) + this.ANSI_SGR_REVERSE + text + this.ANSI_SGR_RESET +
+            this.ANSI_CURSOR_RESTORE;
+    }
+
+    scroll_region()
+    {
+        // return sequence that keeps scrolling output above the status line, in line mode the cursor
+        // first leaves the bottom row, the last row of output would be overwritten there otherwise
+        const [, rows] = this.host_terminal_size();
+        if(!this.statusbar || !(rows > 1))
+        {
+            return "";
+        }
+        return (this.fullscreen ? "" : "\n\u001b[A") + this.ANSI_CURSOR_SAVE + `\u001b[1;${rows - 1}r` + this.ANSI_CURSOR_RESTORE;
+    }
+
+    frame_size(src_width, src_height)
+    {
+        // return size [width, height] of graphics frames for a guest screen of size src_width x src_height
+        let scale;
+        if(this.graphics_format === "sixel")
+        {
+            scale = Math.min(1, this.SIXEL_MAX_WIDTH / src_width, this.SIXEL_MAX_HEIGHT / src_height);
+        }
+        else
+        {
+            // each terminal cell holds two vertically stacked pixels
+            const [cols = 80, rows = 25] = this.terminal_size();
+            scale = Math.min(1, cols / src_width, 2 * rows / src_height);
+        }
+        return [Math.max(1, Math.floor(src_width * scale)), Math.max(2, Math.floor(src_height * scale) & ~1)];
+    }
+
+    write_frame(frame)
+    {
+        if(this.graphical)
+        {
+            this.write(this.graphics_format === "sixel" ? this.sixel_frame(frame) : this.blocks_frame(frame));
+        }
+    }
+
+    blocks_frame(frame)
+    {
+        // return frame as rows of upper half block characters with truecolor foreground (upper pixel)
+        // and background (lower pixel), only rows that changed since the last frame are included
+        const { width, height, pixels } = frame;
+        let output = [];
+        for(let rowid = 0; rowid < height / 2; rowid++)
+        {
+            let row = [];
+            let prev_fg, prev_bg;
+            for(let x = 0; x < width; x++)
+            {
+                const i_fg = (2 * rowid * width + x) * 3;
+                const i_bg = i_fg + width * 3;
+                const fg = pixels[i_fg] + ";" + pixels[i_fg + 1] + ";" + pixels[i_fg + 2];
+                const bg = pixels[i_bg] + ";" + pixels[i_bg + 1] + ";" + pixels[i_bg + 2];
+                if(fg !== prev_fg)
+                {
+                    row.push("\u001b[38;2;", fg, "m");
+                    prev_fg = fg;
+                }
+                if(bg !== prev_bg)
+                {
+                    row.push("\u001b[48;2;", bg, "m");
+                    prev_bg = bg;
+                }
+                row.push(this.UPPER_HALF_BLOCK);
+            }
+            row = row.join("");
+            if(row !== this.frame_rows[rowid])
+            {
+                this.frame_rows[rowid] = row;
+                output.push(this.cursor_to(rowid, 0), row, this.ANSI_SGR_RESET, this.ANSI_ERASE_TO_EOL);
+            }
+        }
+        return output.join("");
+    }
+
+    sixel_frame(frame)
+    {
+        // return frame as DEC sixel image with a fixed palette of 256 colors (3 bits red,
+        // 3 bits green, 2 bits blue), drawn at the top-left corner of the host screen
+        const { width, height, pixels } = frame;
+        let output = [this.cursor_to(0, 0), "\u001bPq", "\"1;1;", width, ";", height];
+        for(let color = 0; color < 256; color++)
+        {
+            const r = Math.round((color >> 5) * 100 / 7);
+            const g = Math.round(((color >> 2) & 7) * 100 / 7);
+            const b = Math.round((color & 3) * 100 / 3);
+            output.push("#", color, ";2;", r, ";", g, ";", b);
+        }
+        for(let y0 = 0; y0 < height; y0 += 6)
+        {
+            // collect sixel bits of each color used in this band of 6 pixel rows
+            const band = new Map();
+            for(let dy = 0; dy < 6 && y0 + dy < height; dy++)
+            {
+                for(let x = 0, i_pixel = (y0 + dy) * width * 3; x < width; x++, i_pixel += 3)
+                {
+                    const color = (pixels[i_pixel] & 0xE0) | ((pixels[i_pixel + 1] & 0xE0) >> 3) | (pixels[i_pixel + 2] >> 6);
+                    let sixels = band.get(color);
+                    if(sixels === undefined)
+                    {
+                        sixels = new Uint8Array(width);
+                        band.set(color, sixels);
+                    }
+                    sixels[x] |= 1 << dy;
+                }
+            }
+            let first = true;
+            for(const [color, sixels] of band)
+            {
+                output.push(first ? "#" : "$#", color);
+                first = false;
+                for(let x = 0; x < width;)
+                {
+                    let count = 1;
+                    while(x + count < width && sixels[x + count] === sixels[x])
+                    {
+                        count++;
+                    }
+                    const chr = String.fromCharCode(63 + sixels[x]);
+                    output.push(count > 3 ? "!" + count + chr : chr.repeat(count));
+                    x += count;
+                }
+            }
+            output.push("-");
+        }
+        output.push("\u001b\\");
+        return output.join("");
+    }
+
+    format_row(rows, attrs, rowid, trim)
+    {
+        return this.format_text(rows[rowid], attrs?.[rowid], trim);
+    }
+
+    format_text(text, attr_text, trim)
+    {
+        if(this.colors && attr_text !== undefined)
+        {
+            return this.colors.sgr_row(text, attr_text, trim);
+        }
+        return trim ? text.trimRight() : text;
+    }
+
+    cursor_to(rowid, colid)
+    {
+        return "\u001b[" + (rowid + 1) + ";" + (colid + 1) + "H";
+    }
+}
@@ -0,0 +1,416 @@
+import { diff_screens, find_bottom_rowid } from "./screen_diff.js";
+
+export class VgaObserver
+{
+    IDLE_DEBOUNCE_MSEC = 1;
+    DEFAULT_ATTR = 0x07;
+
+    constructor(rows_handler, options)
+    {
+        this.rows_handler = rows_handler;
+        this.debug_screenshots = !! options?.debug_screenshots;
+        // optional full-screen mode: screen_handler(rows, rowids, attrs, clear) receives changed rows by index
+        this.screen_handler = options?.screen_handler;
+        // optional AnsiColors instance, enables reading of VGA text attributes
+        this.colors = options?.colors;
+        // optional CodePage instance, enables translation of VGA character codes
+        this.codepage = options?.codepage;
+        // optional cursor_handler(cursor) receives the text mode cursor { rowid, colid, visible, shape } after
+        // each capture and when only the cursor changed, shape is "block" or "underline"
+        this.cursor_handler = options?.cursor_handler;
+        this.emulator = undefined;
+        this.timeout_h = null;
+        this.screen_rows = [];
+        this.screen_attrs = [];
+        this.empty_row = "";
+        // false if the last row passed to rows_handler was not the bottom row of the screen
+        this.bottom_pending = true;
+        this.screen_resized = false;
+        this.screen_modified = false;
+        this.modified_rowids = new Set();
+        this.cursor_modified = false;
+        this.screen_adapter_methods = undefined;
+        this.capture_listeners = new Set();
+        this.screen_waiters = new Set();
+        this.snapshot_count = 1;
+        this.screen_put_char = args => {
+            if(args[0] < this.screen_rows.length)
+            {
+                this.modified_rowids.add(args[0]);
+                this.schedule_check();
+            }
+        };
+        this.screen_set_size = args => {
+            // args: [cols, rows, bpp], bpp is 0 in text mode
+            if(!args[2])
+            {
+                this.resize_screen(args[0], args[1]);
+            }
+        };
+    }
+
+    start(emulator)
+    {
+        if(this.emulator === undefined)
+        {
+            this.emulator = emulator;
+            this.emulator.add_listener("screen-put-char", this.screen_put_char);
+            this.emulator.add_listener("screen-set-size", this.screen_set_size);
+            this.hook_cursor_updates();
+            // initially capture the complete screen, it is not empty if the emulator was started from a saved state
+            this.reload();
+        }
+    }
+
+    reload()
+    {
+        // read the complete screen into the row cache, for example after the emulator state was
+        // restored, and pass it on as a new screen so that later captures continue from there
+        const text_screen = this.emulator.screen_adapter.get_text_screen();
+        this.empty_row = " ".repeat(text_screen.length ? text_screen[0].length : 0);
+        this.screen_rows = text_screen.map((row, rowid) => this.get_text_row(rowid));
+        this.screen_attrs = this.screen_rows.map((row, rowid) => this.get_attr_row(rowid));
+        this.screen_resized = false;
+        this.screen_modified = false;
+        this.modified_rowids.clear();
+        if(!this.debug_screenshots)
+        {
+            this.screen_handler?.(this.screen_rows, this.screen_rows.map((row, rowid) => rowid), this.screen_attrs, true);
+            this.capture_changed_rows([], this.screen_rows);
+            for(const listener of this.capture_listeners)
+            {
+                listener(this.screen_rows);
+            }
+            this.update_cursor();
+        }
+    }
+
+    hook_cursor_updates()
+    {
+        // V86 has no bus events for cursor updates, the VGA device tells its screen adapter directly
+        const screen_adapter = this.emulator.screen_adapter;
+        if(screen_adapter)
+        {
+            this.screen_adapter_methods = {};
+            for(const name of ["update_cursor", "update_cursor_scanline"])
+            {
+                const method = screen_adapter[name];
+                this.screen_adapter_methods[name] = method;
+                screen_adapter[name] = (...args) => {
+                    method.apply(screen_adapter, args);
+                    this.cursor_modified = true;
+                    this.schedule_check();
+                };
+            }
+        }
+    }
+
+    unhook_cursor_updates()
+    {
+        if(this.screen_adapter_methods)
+        {
+            Object.assign(this.emulator.screen_adapter, this.screen_adapter_methods);
+            this.screen_adapter_methods = undefined;
+        }
+    }
+
+    stop()
+    {
+        if(this.emulator !== undefined)
+        {
+            this.emulator.remove_listener("screen-put-char", this.screen_put_char);
+            this.emulator.remove_listener("screen-set-size", this.screen_set_size);
+            this.unhook_cursor_updates();
+            clearTimeout(this.timeout_h);
+            this.timeout_h = null;
+            for(const finish of [...this.screen_waiters])
+            {
+                finish(false);
+            }
+            this.emulator = undefined;
+        }
+    }
+
+    schedule_check()
+    {
+        // the screen is busy, check it again after IDLE_DEBOUNCE_MSEC
+        this.screen_modified = true;
+        if(this.timeout_h === null && this.emulator !== undefined)
+        {
+            this.timeout_h = setTimeout(() => this.check_screen(), this.IDLE_DEBOUNCE_MSEC);
+        }
+    }
+
+    check_screen()
+    {
+        this.timeout_h = null;
+        if(this.screen_modified)
+        {
+            // screen is still busy
+            this.screen_modified = false;
+            this.timeout_h = setTimeout(() => this.check_screen(), this.IDLE_DEBOUNCE_MSEC);
+        }
+        else if(this.modified_rowids.size)
+        {
+            // busy-to-idle transition: screen is idle with modified rows pending
+            const old_screen_rows = [...this.screen_rows];
+            const old_screen_attrs = [...this.screen_attrs];
+            const modified_rowids = [...this.modified_rowids].sort((a, b) => a - b);
+            for(const rowid of modified_rowids)
+            {
+                this.screen_rows[rowid] = this.get_text_row(rowid);
+                this.screen_attrs[rowid] = this.get_attr_row(rowid);
+            }
+            this.modified_rowids.clear();
+            const screen_resized = this.screen_resized;
+            this.screen_resized = false;
+
+            if(this.debug_screenshots)
+            {
+                console.log("--- Snapshot " + this.zeropad(this.snapshot_count++) +
+                    " -----------------------------------------------------------------------");
+                for(let i = 0; i < this.screen_rows.length; i++)
+                {
+                    const row = this.colors ? this.colors.sgr_row(this.screen_rows[i], this.screen_attrs[i]) : this.screen_rows[i];
+                    console.log(this.zeropad(i) + " | " + row + " |");
+                }
+            }
+            else
+            {
+                if(this.screen_handler)
+                {
+                    // redraw modified rows at their absolute screen positions, or the
+                    // complete screen after a change of the screen geometry
+                    this.screen_handler(this.screen_rows, screen_resized ? modified_rowids : modified_rowids.filter(rowid =>
+                        this.screen_rows[rowid] !== old_screen_rows[rowid] ||
+                        this.screen_attrs[rowid] !== old_screen_attrs[rowid]), this.screen_attrs, screen_resized);
+                }
+                // compare old and new screens to capture new rows
+                this.capture_changed_rows(old_screen_rows, this.screen_rows);
+            }
+
+            for(const listener of this.capture_listeners)
+            {
+                listener(this.screen_rows);
+            }
+            this.update_cursor();
+        }
+        else if(this.cursor_modified)
+        {
+            // only the cursor moved or changed its shape
+            this.update_cursor();
+        }
+    }
+
+    update_cursor()
+    {
+        // pass the cursor on to cursor_handler
+        this.cursor_modified = false;
+        const cursor = this.cursor_handler && !this.debug_screenshots ? this.cursor_state() : undefined;
+        if(cursor !== undefined)
+        {
+            this.cursor_handler(cursor);
+        }
+    }
+
+    cursor_state()
+    {
+        // return the text mode cursor { rowid, colid, visible, shape }, or undefined if VGA state is not accessible
+        const vga = this.emulator?.v86?.cpu?.devices?.vga;
+        const position = this.cursor_position();
+        if(!vga || position === undefined)
+        {
+            return undefined;
+        }
+        // the cursor covers the scan lines start to end of the character cell, like V86 it is
+        // hidden if its disable bit is set or if start is not above end
+        const max_scan_line = vga.max_scan_line & 31;
+        const start = Math.min(max_scan_line, vga.cursor_scanline_start & 31);
+        const end = Math.min(max_scan_line, vga.cursor_scanline_end & 31);
+        return {
+            rowid: position[0],
+            colid: position[1],
+            visible: !(vga.cursor_scanline_start & 0x20) && start < end && position[0] < this.screen_rows.length,
+            shape: start <= max_scan_line / 2 ? "block" : "underline"
+        };
+    }
+
+    add_capture_listener(listener)
+    {
+        // listener(rows) is called with the current screen rows after each busy-to-idle transition
+        this.capture_listeners.add(listener);
+    }
+
+    remove_capture_listener(listener)
+    {
+        this.capture_listeners.delete(listener);
+    }
+
+    wait_for_text(regex, timeout_msec)
+    {
+        // resolve to true once regex matches the screen text, or to false after timeout_msec
+        // or when this observer is stopped
+        const matches = rows => {
+            regex.lastIndex = 0;
+            return regex.test(this.screen_text(rows));
+        };
+        if(matches(this.screen_rows))
+        {
+            return Promise.resolve(true);
+        }
+        return new Promise(resolve => {
+            const listener = rows => {
+                if(matches(rows))
+                {
+                    finish(true);
+                }
+            };
+            const finish = result => {
+                clearTimeout(timeout_h);
+                this.remove_capture_listener(listener);
+                this.screen_waiters.delete(finish);
+                resolve(result);
+            };
+            const timeout_h = setTimeout(() => finish(false), timeout_msec);
+            this.add_capture_listener(listener);
+            this.screen_waiters.add(finish);
+        });
+    }
+
+    screen_text(rows)
+    {
+        // return rows (default: current screen rows) as text with trailing spaces removed
+        return (rows || this.screen_rows).map(row => row.trimRight()).join("\n");
+    }
+
+    format_screen()
+    {
+        // return current screen rows with row numbers like in debug screenshots
+        return this.screen_rows.map((row, rowid) => this.zeropad(rowid) + " | " + row + " |").join("\n");
+    }
+
+    redraw()
+    {
+        // redraw the complete screen in full-screen mode and place the cursor again, for example after
+        // the host screen was overwritten
+        if(this.emulator !== undefined && this.screen_handler && !this.debug_screenshots)
+        {
+            this.screen_handler(this.screen_rows, this.screen_rows.map((row, rowid) => rowid), this.screen_attrs, true);
+        }
+        if(this.emulator !== undefined)
+        {
+            this.update_cursor();
+        }
+    }
+
+    resize_screen(cols, rows)
+    {
+        // adapt row cache and blank row template to new text mode geometry, the old rows
+        // are clipped or padded to the new width to keep scroll detection working
+        if(cols === this.empty_row.length && rows === this.screen_rows.length)
+        {
+            return;
+        }
+        const default_attrs = String.fromCharCode(this.DEFAULT_ATTR).repeat(cols);
+        this.empty_row = " ".repeat(cols);
+        this.screen_rows = Array.from({length: rows}, (_, rowid) =>
+            rowid < this.screen_rows.length ?
+                (this.screen_rows[rowid] + this.empty_row).slice(0, cols) :
+                this.empty_row);
+        this.screen_attrs = Array.from({length: rows}, (_, rowid) =>
+            rowid < this.screen_attrs.length && this.screen_attrs[rowid] !== undefined ?
+                (this.screen_attrs[rowid] + default_attrs).slice(0, cols) :
+                undefined);
+        // all rows need to be read again once the screen becomes idle
+        this.modified_rowids.clear();
+        for(let rowid = 0; rowid < rows; rowid++)
+        {
+            this.modified_rowids.add(rowid);
+        }
+        this.screen_resized = true;
+        this.schedule_check();
+    }
+
+    capture_changed_rows(old_rows, new_rows)
+    {
+        // pass the rows that continue the line mode output on to rows_handler
+        const ranges = diff_screens(old_rows, new_rows, this.empty_row, this.bottom_pending);
+        for(const range of ranges)
+        {
+            this.rows_handler(new_rows, range.start, range.end, range.all_new, this.screen_attrs);
+        }
+        if(ranges.length)
+        {
+            this.bottom_pending = ranges[ranges.length - 1].end - 1 === find_bottom_rowid(new_rows, this.empty_row);
+        }
+        else if(find_bottom_rowid(new_rows, this.empty_row) !== find_bottom_rowid(old_rows, this.empty_row))
+        {
+            // rows were erased at the bottom, the pending line is no longer on the screen
+            this.bottom_pending = false;
+        }
+    }
+
+    get_text_row(rowid)
+    {
+        // return text of row rowid, translated by this.codepage if defined
+        const codes = this.codepage ? this.read_text_memory(rowid, 0) : undefined;
+        if(codes === undefined)
+        {
+            return this.emulator.screen_adapter.get_text_row(rowid);
+        }
+        return this.codepage.translate(codes);
+    }
+
+    get_attr_row(rowid)
+    {
+        // return attribute bytes of row rowid as a string of char codes, or undefined
+        return this.colors ? this.read_text_memory(rowid, 1) : undefined;
+    }
+
+    cursor_position()
+    {
+        // return [rowid, colid] of the text mode cursor, or undefined if VGA state is not accessible
+        const vga = this.emulator?.v86?.cpu?.devices?.vga;
+        if(!vga || vga.graphical_mode)
+        {
+            return undefined;
+        }
+        // same as V86's VGAScreen.update_cursor(), the cursor address counts in characters
+        const row_stride = Math.max(vga.max_cols, 2 * vga.offset_register);
+        if(vga.cursor_address >= vga.start_address)
+        {
+            const offset = vga.cursor_address - vga.start_address;
+            return [Math.floor(offset / row_stride), offset % row_stride];
+        }
+        return [Math.floor(vga.cursor_address / row_stride) + vga.scan_line_to_screen_row(vga.line_compare), vga.cursor_address % row_stride];
+    }
+
+    read_text_memory(rowid, byte_offset)
+    {
+        // return character (byte_offset 0) or attribute (byte_offset 1) bytes of row rowid
+        // as a string of char codes, or undefined if VGA text memory is not accessible
+        const vga = this.emulator.v86?.cpu?.devices?.vga;
+        if(!vga || vga.graphical_mode)
+        {
+            return undefined;
+        }
+        // VGA text memory holds pairs of character and attribute bytes, rows below the
+        // split screen row given by the line compare register start at address 0
+        const row_stride = Math.max(vga.max_cols, 2 * vga.offset_register);
+        const split_rowid = vga.scan_line_to_screen_row(vga.line_compare);
+        let addr = rowid < split_rowid ?
+            (vga.start_address + rowid * row_stride) << 1 :
+            ((rowid - split_rowid) * row_stride) << 1;
+        const codes = new Array(vga.max_cols);
+        for(let i = 0; i < vga.max_cols; i++, addr += 2)
+        {
+            codes[i] = vga.vga_memory[addr + byte_offset];
+        }
+        return String.fromCharCode(...codes);
+    }
+
+    zeropad(i, n)
+    {
+        return i.toString().padStart(n || 2, "0");
+    }
+}
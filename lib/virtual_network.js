@@ -0,0 +1,91 @@
+import net from "node:net";
+
+import { listen_servers } from "./listen_servers.js";
+
+export class VirtualNetwork
+{
+    // Connects the host to V86's built-in virtual network (net_device.relay_url "fetch"), which
+    // emulates a router with DHCP and DNS and forwards the guest's HTTP requests using fetch().
+
+    constructor(options)
+    {
+        // array of port forwarding rules { host_addr, host_port, guest_port }
+        this.hostfwd = options?.hostfwd || [];
+        // if true, the guest cannot reach anything outside of the virtual network
+        this.loopback = !! options?.loopback;
+        this.emulator = undefined;
+        this.servers = [];
+        this.sockets = new Set();
+    }
+
+    async listen()
+    {
+        // open the host's TCP listeners, rejects if any of them cannot be opened
+        try
+        {
+            await listen_servers(this.servers, this.hostfwd.map(rule => ({
+                server: net.createServer(socket => this.forward_connection(socket, rule.guest_port)),
+                port: rule.host_port,
+                host: rule.host_addr
+            })));
+        }
+        catch(e)
+        {
+            this.stop();
+            throw new Error(`Cannot forward host port: ${e.message}`);
+        }
+    }
+
+    start(emulator)
+    {
+        if(this.emulator === undefined)
+        {
+            this.emulator = emulator;
+            if(this.loopback && emulator.network_adapter)
+            {
+                // the guest's HTTP requests fail instead of being fetched from the outside world
+                emulator.network_adapter.fetch = url => Promise.reject(new Error(`Blocked on loopback network: ${url}`));
+            }
+        }
+    }
+
+    stop()
+    {
+        for(const server of this.servers)
+        {
+            server.close();
+        }
+        this.servers = [];
+        for(const socket of this.sockets)
+        {
+            socket.destroy();
+        }
+        this.sockets.clear();
+        this.emulator = undefined;
+    }
+
+    forward_connection(socket, guest_port)
+    {
+        // bridge host TCP connection socket to a new TCP connection to guest_port in the guest
+        const network_adapter = this.emulator?.network_adapter;
+        if(typeof network_adapter?.connect !== "function")
+        {
+            socket.destroy();
+            return;
+        }
+        this.sockets.add(socket);
+        socket.pause();
+        const conn = network_adapter.connect(guest_port);
+        conn.on("connect", () => socket.resume());
+        conn.on("data", data => socket.write(data));
+        conn.on("shutdown", () => socket.end());
+        conn.on("close", () => socket.destroy());
+        socket.on("data", data => conn.write(new Uint8Array(data)));
+        socket.on("end", () => conn.close());
+        socket.on("close", () => {
+            this.sockets.delete(socket);
+            conn.close();
+        });
+        socket.on("error", () => socket.destroy());
+    }
+}
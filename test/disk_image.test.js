@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+
+import { DiskImage } from "../lib/disk_image.js";
+
+const BLOCK_SIZE = 512;
+const OVERLAY_HEADER_SIZE = BLOCK_SIZE;
+
+function create_image(t, size)
+{
+    // create a temporary image file of size bytes where byte i holds i % 251, return its path
+    const tmp_dir = fs.mkdtempSync(path.join(os.tmpdir(), "vga2tty-disk-"));
+    t.after(() => fs.rmSync(tmp_dir, { recursive: true, force: true }));
+    const file = path.join(tmp_dir, "disk.img");
+    fs.writeFileSync(file, pattern(0, size));
+    return file;
+}
+
+function pattern(start, length)
+{
+    return Buffer.from(Array.from({ length }, (_, i) => (start + i) % 251));
+}
+
+function open(t, file, options)
+{
+    const image = new DiskImage(file, options);
+    t.after(() => image.close());
+    return image;
+}
+
+function write(image, start, data)
+{
+    let done = false;
+    image.set(start, new Uint8Array(data), () => done = true);
+    assert.ok(done);
+}
+
+test("writes are merged into the blocks they overlap", t => {
+    const file = create_image(t, 4 * BLOCK_SIZE);
+    const image = open(t, file);
+    const data = Buffer.alloc(BLOCK_SIZE + 20, 0xaa);
+    write(image, BLOCK_SIZE - 10, data);
+    assert.deepEqual([...image.dirty_blocks.keys()].sort(), [0, 1, 2]);
+    write(image, 2 * BLOCK_SIZE + 5, [1, 2, 3]);
+    assert.equal(image.dirty_blocks.size, 3);
+    const expected = pattern(0, 4 * BLOCK_SIZE);
+    data.copy(expected, BLOCK_SIZE - 10);
+    expected.set([1, 2, 3], 2 * BLOCK_SIZE + 5);
+    assert.deepEqual(Buffer.from(image.read(0, 4 * BLOCK_SIZE)), expected);
+    assert.deepEqual(Buffer.from(image.read(BLOCK_SIZE - 12, 4)), expected.subarray(BLOCK_SIZE - 12, BLOCK_SIZE - 8));
+    // the image file is unchanged until flush() writes the changed blocks
+    assert.deepEqual(fs.readFileSync(file), pattern(0, 4 * BLOCK_SIZE));
+    assert.equal(image.flush(), 3);
+    assert.equal(image.dirty_blocks.size, 0);
+    assert.deepEqual(fs.readFileSync(file), expected);
+    assert.equal(image.flush(), 0);
+});
+
+test("flush writes only the part of the last block inside the image", t => {
+    const size = 2 * BLOCK_SIZE + 100;
+    const file = create_image(t, size);
+    const image = open(t, file);
+    assert.equal(image.block_count, 3);
+    write(image, size - 4, [9, 9, 9, 9]);
+    assert.deepEqual([...image.read(size - 6, 10)], [...pattern(size - 6, 2), 9, 9, 9, 9, 0, 0, 0, 0]);
+    assert.equal(image.flush(), 1);
+    assert.equal(fs.statSync(file).size, size);
+    const expected = pattern(0, size);
+    expected.fill(9, size - 4);
+    assert.deepEqual(fs.readFileSync(file), expected);
+    // beyond the end of the image reads as zeros
+    assert.deepEqual([...image.read(size - 2, 4)], [9, 9, 0, 0]);
+});
+
+test("changes written to an overlay file are read back after reopening it", t => {
+    const size = 20 * BLOCK_SIZE;
+    const file = create_image(t, size);
+    const overlay = path.join(path.dirname(file), "disk.ovl");
+    const image = new DiskImage(file, { overlay });
+    write(image, 9 * BLOCK_SIZE + 500, Buffer.alloc(20, 0x55));
+    write(image, 19 * BLOCK_SIZE, [7]);
+    assert.equal(image.flush(), 3);
+    image.close();
+
+    // header with the image size, bitmap with blocks 9, 10 and 19, and the blocks themselves
+    const data = fs.readFileSync(overlay);
+    assert.equal(data.toString("latin1", 0, 8), "V86OVL\u0000\u0001");
+    assert.equal(data.readBigUInt64LE(8), BigInt(size));
+    assert.deepEqual([...data.subarray(OVERLAY_HEADER_SIZE, OVERLAY_HEADER_SIZE + 3)], [0b00000000, 0b00000110, 0b00001000]);
+    assert.ok(data.subarray(OVERLAY_HEADER_SIZE + 3, 2 * OVERLAY_HEADER_SIZE).every(byte => byte === 0));
+    assert.equal(data.length, 2 * BLOCK_SIZE + 20 * BLOCK_SIZE);
+    assert.equal(data[2 * BLOCK_SIZE + 19 * BLOCK_SIZE], 7);
+    assert.deepEqual(fs.readFileSync(file), pattern(0, size));
+
+    const reopened = open(t, file, { overlay });
+    const expected = pattern(0, size);
+    expected.fill(0x55, 9 * BLOCK_SIZE + 500, 9 * BLOCK_SIZE + 520);
+    expected[19 * BLOCK_SIZE] = 7;
+    assert.deepEqual(Buffer.from(reopened.read(0, size)), expected);
+    // blocks written again replace the stored ones
+    write(reopened, 10 * BLOCK_SIZE, [8]);
+    assert.equal(reopened.flush(), 1);
+    expected[10 * BLOCK_SIZE] = 8;
+    assert.deepEqual(Buffer.from(reopened.read(0, size)), expected);
+    assert.deepEqual(fs.readFileSync(file), pattern(0, size));
+});
+
+test("an overlay file of another image is rejected", t => {
+    const file = create_image(t, 4 * BLOCK_SIZE);
+    const overlay = path.join(path.dirname(file), "disk.ovl");
+    open(t, file, { overlay });
+    const other = path.join(path.dirname(file), "other.img");
+    fs.writeFileSync(other, pattern(0, 8 * BLOCK_SIZE));
+    assert.throws(() => new DiskImage(other, { overlay }), { message: `Overlay file ${overlay} does not match disk image ${other}` });
+    const not_overlay = path.join(path.dirname(file), "not.ovl");
+    fs.writeFileSync(not_overlay, Buffer.alloc(2 * BLOCK_SIZE));
+    assert.throws(() => new DiskImage(file, { overlay: not_overlay }), { message: `Overlay file ${not_overlay} does not match disk image ${file}` });
+    assert.deepEqual(fs.readFileSync(not_overlay), Buffer.alloc(2 * BLOCK_SIZE));
+});
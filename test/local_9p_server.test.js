@@ -0,0 +1,212 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+
+import { Local9pServer } from "../lib/local_9p_server.js";
+
+// 9P2000.L message types and Linux values that the requests below use
+const T = { lopen: 12, lcreate: 14, rename: 20, setattr: 26, mkdir: 72, renameat: 74, version: 100, attach: 104, walk: 110, read: 116 };
+const RLERROR = 7;
+const ERRNO = { ENOENT: 2, EACCES: 13, EINVAL: 22, ENOTDIR: 20, EROFS: 30, ELOOP: 40, EOPNOTSUPP: 95 };
+const O_RDONLY = 0;
+const O_WRONLY = 1;
+const O_RDWR = 2;
+const O_TRUNC = 0o1000;
+const ROOT_FID = 1;
+
+function setup(t, options)
+{
+    // create a temporary shared directory next to a directory outside of it and attach a client to it:
+    // share/file.txt, share/dir/inner.txt, share/outside_link -> outside, share/file_link -> outside/secret.txt
+    const tmp_dir = fs.mkdtempSync(path.join(os.tmpdir(), "vga2tty-9p-"));
+    t.after(() => fs.rmSync(tmp_dir, { recursive: true, force: true }));
+    const root = path.join(tmp_dir, "share");
+    const outside = path.join(tmp_dir, "outside");
+    fs.mkdirSync(path.join(root, "dir"), { recursive: true });
+    fs.mkdirSync(outside);
+    fs.writeFileSync(path.join(root, "file.txt"), "shared");
+    fs.writeFileSync(path.join(root, "dir", "inner.txt"), "inner");
+    fs.writeFileSync(path.join(outside, "secret.txt"), "secret");
+    fs.symlinkSync(outside, path.join(root, "outside_link"));
+    fs.symlinkSync(path.join(outside, "secret.txt"), path.join(root, "file_link"));
+    const client = new Client(new Local9pServer(root, options));
+    assert.equal(client.request(T.version, w => w.u32(8192).str("9P2000.L")).type, T.version + 1);
+    assert.equal(client.request(T.attach, w => w.u32(ROOT_FID).u32(0xffffffff).str("root").str("").u32(0)).type, T.attach + 1);
+    return { root, outside, client };
+}
+
+class Client
+{
+    // sends requests to a Local9pServer and returns its replies as { type, errno, body }
+
+    constructor(server)
+    {
+        this.server = server;
+        this.tag = 0;
+        this.next_fid = ROOT_FID + 1;
+    }
+
+    request(type, write_body)
+    {
+        const body = new BodyWriter();
+        write_body?.(body);
+        const message = Buffer.alloc(7);
+        message.writeUInt32LE(7 + body.length, 0);
+        message.writeUInt8(type, 4);
+        message.writeUInt16LE(++this.tag, 5);
+        let reply;
+        this.server.handle_message(new Uint8Array(Buffer.concat([message, ...body.parts])), replybuf => reply = Buffer.from(replybuf));
+        const reply_type = reply.readUInt8(4);
+        return { type: reply_type, errno: reply_type === RLERROR ? reply.readUInt32LE(7) : 0, body: reply.subarray(7) };
+    }
+
+    walk(names, fid = ROOT_FID)
+    {
+        // walk from fid to a new fid, return { fid, nwqid, errno }
+        const newfid = this.next_fid++;
+        const reply = this.request(T.walk, w => {
+            w.u32(fid).u32(newfid).u16(names.length);
+            names.forEach(name => w.str(name));
+        });
+        return { fid: newfid, nwqid: reply.errno ? 0 : reply.body.readUInt16LE(0), errno: reply.errno };
+    }
+
+    lopen(fid, flags)
+    {
+        return this.request(T.lopen, w => w.u32(fid).u32(flags)).errno;
+    }
+
+    lcreate(dir_fid, name, flags)
+    {
+        return this.request(T.lcreate, w => w.u32(dir_fid).str(name).u32(flags).u32(0o644).u32(0)).errno;
+    }
+
+    read(fid)
+    {
+        const reply = this.request(T.read, w => w.u32(fid).u64(0).u32(1000));
+        return reply.body.subarray(4, 4 + reply.body.readUInt32LE(0)).toString();
+    }
+
+    setattr(fid, valid, mode, size)
+    {
+        return this.request(T.setattr, w => w.u32(fid).u32(valid).u32(mode).u32(0).u32(0).u64(size).u64(0).u64(0).u64(0).u64(0)).errno;
+    }
+
+    renameat(old_dir_fid, old_name, new_dir_fid, new_name)
+    {
+        return this.request(T.renameat, w => w.u32(old_dir_fid).str(old_name).u32(new_dir_fid).str(new_name)).errno;
+    }
+}
+
+class BodyWriter
+{
+    constructor()
+    {
+        this.parts = [];
+    }
+
+    get length()
+    {
+        return this.parts.reduce((length, part) => length + part.length, 0);
+    }
+
+    u16(value) { const b = Buffer.alloc(2); b.writeUInt16LE(value); this.parts.push(b); return this; }
+    u32(value) { const b = Buffer.alloc(4); b.writeUInt32LE(value >>> 0); this.parts.push(b); return this; }
+    u64(value) { const b = Buffer.alloc(8); b.writeBigUInt64LE(BigInt(value)); this.parts.push(b); return this; }
+
+    str(value)
+    {
+        const bytes = Buffer.from(value, "utf8");
+        this.u16(bytes.length);
+        this.parts.push(bytes);
+        return this;
+    }
+}
+
+test("walks don't pass symlinks", t => {
+    const { client } = setup(t);
+    assert.equal(client.walk(["outside_link", "secret.txt"]).errno, 0);
+    assert.equal(client.walk(["outside_link", "secret.txt"]).nwqid, 1);
+    assert.equal(client.walk(["dir", "inner.txt"]).nwqid, 2);
+    const link = client.walk(["outside_link"]);
+    assert.equal(client.walk(["secret.txt"], link.fid).errno, ERRNO.ENOTDIR);
+});
+
+test("walks don't leave the shared directory with ..", t => {
+    const { client } = setup(t);
+    const parent = client.walk(["..", "..", ".."]);
+    assert.equal(parent.nwqid, 3);
+    assert.equal(client.walk(["outside"], parent.fid).errno, ERRNO.ENOENT);
+    const file = client.walk(["file.txt"], parent.fid);
+    assert.equal(client.lopen(file.fid, O_RDONLY), 0);
+    assert.equal(client.read(file.fid), "shared");
+    assert.equal(client.walk(["dir/../.."]).errno, ERRNO.EINVAL);
+});
+
+test("opening a symlink fails instead of opening its target", t => {
+    const { client, outside } = setup(t);
+    const link = client.walk(["file_link"]);
+    assert.equal(client.lopen(link.fid, O_RDONLY), ERRNO.ELOOP);
+    assert.equal(client.lopen(link.fid, O_WRONLY | O_TRUNC), ERRNO.ELOOP);
+    assert.equal(client.lcreate(ROOT_FID, "file_link", O_RDWR), ERRNO.ELOOP);
+    assert.equal(fs.readFileSync(path.join(outside, "secret.txt"), "utf8"), "secret");
+});
+
+test("setattr doesn't change the target of a symlink", t => {
+    const { client, outside } = setup(t);
+    const link = client.walk(["file_link"]);
+    const secret_mode = fs.statSync(path.join(outside, "secret.txt")).mode;
+    assert.equal(client.setattr(link.fid, 0x1, 0o777, 0), ERRNO.EOPNOTSUPP);
+    assert.equal(client.setattr(link.fid, 0x8, 0, 0), ERRNO.ELOOP);
+    assert.equal(fs.statSync(path.join(outside, "secret.txt")).mode, secret_mode);
+    assert.equal(fs.readFileSync(path.join(outside, "secret.txt"), "utf8"), "secret");
+});
+
+test("a directory replaced by a symlink after the walk is refused", t => {
+    const { client, root, outside } = setup(t);
+    const dir = client.walk(["dir"]);
+    const inner = client.walk(["dir", "inner.txt"]);
+    fs.renameSync(path.join(root, "dir"), path.join(outside, "dir"));
+    fs.symlinkSync(path.join(outside, "dir"), path.join(root, "dir"));
+    assert.equal(client.lopen(inner.fid, O_RDONLY), ERRNO.EACCES);
+    assert.equal(client.setattr(inner.fid, 0x8, 0, 0), ERRNO.EACCES);
+    assert.equal(client.lcreate(dir.fid, "new.txt", O_RDWR), ERRNO.EACCES);
+    assert.equal(client.renameat(dir.fid, "inner.txt", ROOT_FID, "stolen.txt"), ERRNO.EACCES);
+    assert.equal(client.renameat(ROOT_FID, "file.txt", dir.fid, "file.txt"), ERRNO.EACCES);
+    assert.deepEqual(fs.readdirSync(path.join(outside, "dir")), ["inner.txt"]);
+    assert.equal(fs.readFileSync(path.join(outside, "dir", "inner.txt"), "utf8"), "inner");
+});
+
+test("rename targets stay in the shared directory", t => {
+    const { client, root } = setup(t);
+    const dir = client.walk(["dir"]);
+    const file = client.walk(["file.txt"]);
+    assert.equal(client.renameat(ROOT_FID, "file.txt", ROOT_FID, "../file.txt"), ERRNO.EINVAL);
+    assert.equal(client.renameat(ROOT_FID, "file.txt", ROOT_FID, ".."), ERRNO.EINVAL);
+    assert.equal(client.request(T.rename, w => w.u32(file.fid).u32(ROOT_FID).str("..")).errno, ERRNO.EINVAL);
+    assert.equal(client.request(T.rename, w => w.u32(file.fid).u32(dir.fid).str("moved.txt")).errno, 0);
+    assert.equal(fs.readFileSync(path.join(root, "dir", "moved.txt"), "utf8"), "shared");
+    // the fid follows its file
+    assert.equal(client.lopen(file.fid, O_RDONLY), 0);
+    assert.equal(client.read(file.fid), "shared");
+    assert.equal(client.renameat(dir.fid, "inner.txt", ROOT_FID, "inner.txt"), 0);
+    assert.equal(fs.readFileSync(path.join(root, "inner.txt"), "utf8"), "inner");
+});
+
+test("a read-only shared directory can be read but not modified", t => {
+    const { client, root } = setup(t, { readonly: true });
+    const file = client.walk(["file.txt"]);
+    assert.equal(client.lopen(file.fid, O_WRONLY), ERRNO.EROFS);
+    assert.equal(client.lopen(file.fid, O_RDWR), ERRNO.EROFS);
+    assert.equal(client.lopen(file.fid, O_RDONLY | O_TRUNC), ERRNO.EROFS);
+    assert.equal(client.lopen(file.fid, O_RDONLY), 0);
+    assert.equal(client.read(file.fid), "shared");
+    assert.equal(client.lcreate(ROOT_FID, "new.txt", O_RDWR), ERRNO.EROFS);
+    assert.equal(client.request(T.mkdir, w => w.u32(ROOT_FID).str("new_dir").u32(0o755).u32(0)).errno, ERRNO.EROFS);
+    assert.equal(client.renameat(ROOT_FID, "file.txt", ROOT_FID, "renamed.txt"), ERRNO.EROFS);
+    assert.equal(client.setattr(file.fid, 0x8, 0, 0), ERRNO.EROFS);
+    assert.deepEqual(fs.readdirSync(root).sort(), ["dir", "file.txt", "file_link", "outside_link"]);
+    assert.equal(fs.readFileSync(path.join(root, "file.txt"), "utf8"), "shared");
+});
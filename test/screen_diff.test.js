@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import test from "node:test";
+
+import { diff_screens } from "../lib/screen_diff.js";
+import { TtyWriter } from "../lib/tty_writer.js";
+import { VgaObserver } from "../lib/vga_observer.js";
+
+// Each file in fixtures/screen_diff holds a sequence of captured text screens of the guest and the line
+// mode output expected after each of them: { description, columns, terminal_columns, rows, screens },
+// screens is an array of { rows, output }. Rows are given without trailing spaces, missing rows at the
+// bottom are empty, terminal_columns is the host terminal's width (default: columns). The capture_*.json
+// screens were captured from V86 with -debug_screenshots, the others are small hand-written cases.
+const FIXTURES_URL = new URL("fixtures/screen_diff/", import.meta.url);
+
+for(const file of fs.readdirSync(FIXTURES_URL).filter(file => file.endsWith(".json")).sort())
+{
+    const fixture = JSON.parse(fs.readFileSync(new URL(file, FIXTURES_URL), "utf8"));
+    test(`${file}: ${fixture.description}`, () => {
+        const tty_writer = new TtyWriter({ headless: true });
+        tty_writer.resize(fixture.terminal_columns ?? fixture.columns, 24);
+        let output = "";
+        tty_writer.add_output_listener(data => output += data);
+        const rows_handler = (rows, start, end, all_new, attrs) => tty_writer.write_rows(rows, start, end, all_new, attrs);
+        const vga_observer = new VgaObserver(rows_handler);
+        vga_observer.empty_row = " ".repeat(fixture.columns);
+        let old_rows = [];
+        fixture.screens.forEach((screen, index) => {
+            const new_rows = Array.from({ length: fixture.rows }, (_, rowid) => (screen.rows[rowid] ?? "").padEnd(fixture.columns));
+            output = "";
+            vga_observer.capture_changed_rows(old_rows, new_rows);
+            assert.equal(output, screen.output, `output of screen ${index}`);
+            old_rows = new_rows;
+        });
+    });
+}
+
+// diff_screens() on its own, with screens of 4 rows of 8 columns
+const EMPTY_ROW = " ".repeat(8);
+const screen = rows => Array.from({ length: 4 }, (_, rowid) => (rows[rowid] ?? "").padEnd(8));
+
+test("diff_screens: first rows of an empty screen are new", () => {
+    assert.deepEqual(diff_screens(screen([]), screen(["a", "b"]), EMPTY_ROW), [{ start: 0, end: 2, all_new: true }]);
+});
+
+test("diff_screens: an empty screen has nothing to print", () => {
+    assert.deepEqual(diff_screens(screen(["a", "b"]), screen([]), EMPTY_ROW), []);
+});
+
+test("diff_screens: the pending bottom row is extended in place", () => {
+    assert.deepEqual(diff_screens(screen(["a", "$"]), screen(["a", "$ ls"]), EMPTY_ROW), [{ start: 1, end: 2, all_new: false }]);
+});
+
+test("diff_screens: a scroll by several rows replaces the pending row and adds the rows below it", () => {
+    const old_rows = screen(["a", "b", "a", "b"]);
+    const new_rows = screen(["a", "b", "c", "d"]);
+    assert.deepEqual(diff_screens(old_rows, new_rows, EMPTY_ROW), [{ start: 1, end: 4, all_new: false }]);
+});
+
+test("diff_screens: rows below a fixed top row scroll up", () => {
+    const old_rows = screen(["TITLE", "one", "two", "three"]);
+    const new_rows = screen(["TITLE", "two", "three", "four"]);
+    assert.deepEqual(diff_screens(old_rows, new_rows, EMPTY_ROW), [{ start: 2, end: 4, all_new: false }]);
+});
+
+test("diff_screens: a cleared and refilled screen is printed as new rows", () => {
+    const old_rows = screen(["one", "two", "three", "$ clear"]);
+    const new_rows = screen(["$"]);
+    assert.deepEqual(diff_screens(old_rows, new_rows, EMPTY_ROW), [{ start: 0, end: 1, all_new: true }]);
+});
+
+test("diff_screens: rows erased at the bottom have nothing to print", () => {
+    assert.deepEqual(diff_screens(screen(["a", "b", "c"]), screen(["a"]), EMPTY_ROW), []);
+});
+
+test("diff_screens: a partial redraw prints the changed rows as new rows", () => {
+    const old_rows = screen(["menu", "> one", "  two", "help"]);
+    const new_rows = screen(["menu", "  one", "> two", "help"]);
+    assert.deepEqual(diff_screens(old_rows, new_rows, EMPTY_ROW), [{ start: 1, end: 3, all_new: true }]);
+});
+
+test("diff_screens: without bottom_pending an unchanged bottom row is not printed again", () => {
+    const old_rows = screen(["menu", "  one", "> two", "help"]);
+    assert.deepEqual(diff_screens(old_rows, screen(["menu", "  one", "> two", "help"]), EMPTY_ROW, false), []);
+    assert.deepEqual(diff_screens(old_rows, screen(["menu", "  one", "> two", "help"]), EMPTY_ROW, true),
+        [{ start: 3, end: 4, all_new: false }]);
+});
+
+test("diff_screens: without bottom_pending a scroll prints the rows below the old bottom row as new rows", () => {
+    const old_rows = screen(["a", "b", "c", "d"]);
+    assert.deepEqual(diff_screens(old_rows, screen(["b", "c", "d", "e"]), EMPTY_ROW, false), [{ start: 3, end: 4, all_new: true }]);
+    assert.deepEqual(diff_screens(old_rows, screen(["b", "c", "d!", "e"]), EMPTY_ROW, false), [{ start: 2, end: 4, all_new: true }]);
+});
@@ -1,334 +1,61 @@
 #!/usr/bin/env node
 
+import fs from "node:fs";
+import os from "node:os";
 import url from "node:url";
 import path from "node:path";
-import readline from "node:readline";
 import { parseArgs } from "node:util";
 
-const __dirname = url.fileURLToPath(new URL(".", import.meta.url));
-
-// ---------------------------------------------------------------------------
-// class VgaObserver
-// ---------------------------------------------------------------------------
-
-class VgaObserver
-{
-    EMPTY_ROW_80 = "                                                                                ";
-    CAPTURE_INTERVAL_MSEC = 1;
-
-    constructor(rows_handler, debug_screenshots)
-    {
-        this.rows_handler = rows_handler;
-        this.debug_screenshots = !! debug_screenshots;
-        this.emulator = undefined;
-        this.timeout_h = null;
-        this.screen_rows = [];
-        this.screen_modified = false;
-        this.modified_rowids = new Set();
-        this.snapshot_count = 1;
-        this.screen_put_char = args => {
-            if(args[0] < this.screen_rows.length)
-            {
-                this.modified_rowids.add(args[0]);
-                this.screen_modified = true;
-            }
-        };
-    }
-
-    start(emulator)
-    {
-        if(this.emulator === undefined)
-        {
-            this.emulator = emulator;
-            this.timeout_h = setTimeout(() => this.check_screen(), this.CAPTURE_INTERVAL_MSEC);
-            this.screen_rows = emulator.screen_adapter.get_text_screen();
-            this.screen_modified = false;
-            this.modified_rowids.clear();
-            this.emulator.add_listener("screen-put-char", this.screen_put_char);
-        }
-    }
-
-    stop()
-    {
-        if(this.emulator !== undefined)
-        {
-            this.emulator.remove_listener("screen-put-char", this.screen_put_char);
-            clearTimeout(this.timeout_h);
-            this.emulator = undefined;
-        }
-    }
-
-    check_screen()
-    {
-        if(this.screen_modified)
-        {
-            // screen is busy
-            this.screen_modified = false;
-        }
-        else if(this.modified_rowids.size)
-        {
-            // busy-to-idle transition: screen is idle with modified rows pending
-            const old_screen_rows = [...this.screen_rows];
-            for(const rowid of this.modified_rowids)
-            {
-                this.screen_rows[rowid] = this.emulator.screen_adapter.get_text_row(rowid);
-            }
-            this.modified_rowids.clear();
-
-            if(this.debug_screenshots)
-            {
-                console.log("--- Snapshot " + this.zeropad(this.snapshot_count++) +
-                    " -----------------------------------------------------------------------");
-                for(let i = 0; i < this.screen_rows.length; i++)
-                {
-                    console.log(this.zeropad(i) + " | " + this.screen_rows[i] + " |");
-                }
-            }
-            else
-            {
-                // compare old and new screens to capture new rows
-                this.capture_changed_rows(old_screen_rows, this.screen_rows);
-            }
-        }
-
-        this.timeout_h = setTimeout(() => this.check_screen(), this.CAPTURE_INTERVAL_MSEC);
-    }
-
-    capture_changed_rows(old_rows, new_rows)
-    {
-        const new_bottom_rowid = this.find_bottom_rowid(new_rows);
-        if(new_bottom_rowid === undefined)
-        {
-            // new screen is empty: no rows have changed
-            return;
-        }
-
-        let new_top_rowid;
-        const old_bottom_rowid = this.find_bottom_rowid(old_rows);
-        if(old_bottom_rowid !== undefined)
-        {
-            // both screens are not empty
-            if(!old_bottom_rowid)
-            {
-                // only the bottom line of old_rows[] is at the very top of new_rows[]: accept
-                new_top_rowid = new_bottom_rowid - 1;
-            }
-            else
-            {
-                // find bottom offset in new_rows[] where old and new intersect
-                new_top_rowid = this.find_intersect_end(old_rows, old_bottom_rowid, new_rows, new_bottom_rowid);
-            }
-        }
-
-        if(new_top_rowid !== undefined)
-        {
-            // rows in new_rows[new_top_rowid : new_bottom_rowid] have changed (1st) or are new (rest)
-            this.rows_handler(new_rows, new_top_rowid, new_bottom_rowid + 1, false);
-        }
-        else
-        {
-            // all rows in new_rows[ : new_bottom_rowid] are new
-            this.rows_handler(new_rows, 0, new_bottom_rowid + 1, true);
-        }
-    }
+import { AnsiColors, CodePage, KeyboardLayout, Monitor, ScreenDump, Vga2TtySession } from "./lib/index.js";
 
-    find_bottom_rowid(rows)
-    {
-        // return index of first non-empty row in rows[] in reverse order
-        for(let i = rows.length - 1; i >= 0; i--)
-        {
-            if(rows[i] !== this.EMPTY_ROW_80)
-            {
-                return i;
-            }
-        }
-        return undefined;
-    }
+const __dirname = url.fileURLToPath(new URL(".", import.meta.url));
 
-    find_intersect_end(old_rows, old_bottom_rowid, new_rows, new_bottom_rowid)
-    {
-        // find bottom offset in new_rows[] where old and new intersect
-        const old_anchor_row = old_rows[old_bottom_rowid - 1];
-        for(let i_new = new_bottom_rowid - 1; i_new >= 0; i_new--)
-        {
-            i_new = this.find_reverse(old_anchor_row, new_rows, i_new);
-            if(i_new >= 0)
-            {
-                if(this.rows_match_reverse(old_rows, old_bottom_rowid - 2, new_rows, i_new - 1))
-                {
-                    return i_new + 1;
-                }
-            }
-        }
-        return undefined;
-    }
+// options whose relative paths in a -config FILE are relative to the directory of FILE
+const PATH_OPTIONS = ["v86dir", "libv86", "v86wasm", "bios", "vgabios", "keymap", "hda", "hdb", "fda", "fdb",
+    "cdrom", "overlay", "kernel", "initrd", "loadstate", "savestate", "script", "log", "record",
+    "dump-on-exit", "snapshots-dir"];
 
-    find_reverse(text, rows, offset)
-    {
-        // search for text in rows[] starting at offset in reverse order
-        for(let i = offset; i >= 0; i--)
-        {
-            if(rows[i] === text)
-            {
-                return i;
-            }
-        }
-        return -1;
-    }
+// options that cannot be used in a -config FILE
+const NON_PROFILE_OPTIONS = ["config", "profile", "print-config", "help", "version"];
 
-    rows_match_reverse(lhs_rows, lhs_offset, rhs_rows, count)
-    {
-        // return true if lhs_rows[lhs_offset-count : lhs_offset ] === rhs_rows[0 : count]
-        lhs_offset -= count;
-        for(let i = 0; i < count; i++)
-        {
-            if(lhs_rows[lhs_offset + i] !== rhs_rows[i])
-            {
-                return false;
-            }
-        }
-        return true;
-    }
-
-    zeropad(i, n)
-    {
-        return i.toString().padStart(n || 2, "0");
-    }
-}
+// signals that end the session like the monitor's quit command, a second one kills the process
+const EXIT_SIGNALS = ["SIGINT", "SIGTERM", "SIGHUP"];
 
 // ---------------------------------------------------------------------------
-// class StdinHandler
+// main()
 // ---------------------------------------------------------------------------
 
-class StdinHandler
+function load_profile(config_file, profile_name, cli_options)
 {
-    NAMED_KEY_CODE =
-    {
-        "space":     "Space",
-        "backspace": "Backspace",
-        "escape":    "Escape",
-        "enter":     "Enter",
-        "return":    "Enter",
-        "tab":       "Tab",
-        "up":        "ArrowUp",
-        "down":      "ArrowDown",
-        "right":     "ArrowRight",
-        "left":      "ArrowLeft",
-        "home":      "Home",
-        "insert":    "Insert",
-        "delete":    "Delete",
-        "end":       "End",
-        "pageup":    "PageUp",
-        "pagedown":  "PageDown",
-        "f1":        "F1",
-        "f2":        "F2",
-        "f3":        "F3",
-        "f4":        "F4",
-        "f5":        "F5",
-        "f6":        "F6",
-        "f7":        "F7",
-        "f8":        "F8",
-        "f9":        "F9",
-        "f10":       "F10",
-        "f11":       "F11",
-        "f12":       "F12"
-    };
-
-    constructor(ctrl_c_handler)
+    // return option values of profile profile_name in JSON file config_file, which looks like:
+    // { "profiles": { "NAME": { "OPTION": VALUE, ... }, ... } }
+    const config = JSON.parse(fs.readFileSync(config_file, "utf8"));
+    const profile = config.profiles?.[profile_name];
+    if(typeof profile !== "object" || profile === null)
     {
-        this.ctrl_c_handler = ctrl_c_handler;
-        this.emulator = undefined;
-        this.ctrl_c_count = undefined;
-        this.keypress_handler = (text, key) => this.handle_keypress(text, key);
+        throw new Error(`Profile ${profile_name} not found in ${config_file}`);
     }
-
-    start(emulator)
+    const values = {};
+    for(let [name, value] of Object.entries(profile))
     {
-        if(this.emulator === undefined)
+        const option = cli_options[name];
+        if(option === undefined || NON_PROFILE_OPTIONS.includes(name))
         {
-            this.emulator = emulator;
-            this.ctrl_c_count = 0;
-            // allow us to listen for events from stdin
-            readline.emitKeypressEvents(process.stdin);
-            // raw mode gets rid of standard keypress events and other
-            // functionality Node.js adds by default
-            process.stdin.setRawMode(true);
-            process.stdin.on("keypress", this.keypress_handler);
+            throw new Error(`Invalid option in profile ${profile_name}: ${name}`);
         }
-    }
-
-    stop()
-    {
-        if(this.emulator !== undefined)
+        if(option.type === "string" && typeof value === "number")
         {
-            process.stdin.removeListener("keypress", this.keypress_handler);
-            process.stdin.setRawMode(false);
-            process.stdin.pause();
-            this.emulator = undefined;
+            value = String(value);
         }
-    }
-
-    async handle_keypress(text, key)
-    {
-        if(key.sequence === "\u0003")
+        if(typeof value !== option.type)
         {
-            // intercept CTRL+C
-            this.ctrl_c_handler(this.ctrl_c_count++);
-        }
-        else if(this.ctrl_c_count)
-        {
-            // deliver CTRL+C intercepted earlier (replaces pressed key)
-            this.ctrl_c_count = 0;
-            await this.emulator.keyboard_send_keypress(["ControlLeft", "KeyC"]);
-        }
-        else
-        {
-            if(key.name !== undefined && key.name.length > 1)
-            {
-                const code = this.NAMED_KEY_CODE[key.name];
-                if(code !== undefined)
-                {
-                    await this.emulator.keyboard_send_keypress([code]);
-                }
-                else
-                {
-                    console.error("unhandled keyboard input, key name:", key.name);
-                }
-            }
-            else if(key.name !== undefined && key.name.length === 1 && (key.ctrl || key.meta))
-            {
-                const keys = [];
-                if(key.ctrl)
-                {
-                    keys.push("ControlLeft");
-                }
-                if(key.meta)
-                {
-                    keys.push("AltLeft");
-                }
-                if(key.shift)
-                {
-                    keys.push("ShiftLeft");
-                }
-                keys.push(key.name);
-                await this.emulator.keyboard_send_keypress(keys);
-            }
-            else if(key.sequence.length === 1)
-            {
-                await this.emulator.keyboard_send_text(key.sequence);
-            }
-            else
-            {
-                console.error("unhandled keyboard input, key:", key);
-            }
+            throw new Error(`Invalid value of option ${name} in profile ${profile_name}: ${JSON.stringify(value)}`);
         }
+        values[name] = PATH_OPTIONS.includes(name) ? path.resolve(path.dirname(config_file), value) : value;
     }
+    return values;
 }
 
-// ---------------------------------------------------------------------------
-// main()
-// ---------------------------------------------------------------------------
-
 function parse_cli()
 {
     // CLI is based on v86-system: https://www.npmjs.com/package/v86-system
@@ -342,46 +69,84 @@ function parse_cli()
     );
 
     // Parse command line arguments using built-in Node.js parseArgs
-    const { values } = parseArgs({
+    const cli_options = {
+        // Memory options
+        mem: { type: "string", short: "m", default: "512M" },
+        vgamem: { type: "string", default: "64M" },
+        // Storage options
+        hda: { type: "string" },
+        hdb: { type: "string" },
+        fda: { type: "string" },
+        fdb: { type: "string" },
+        cdrom: { type: "string" },
+        snapshot: { type: "boolean", default: false },
+        overlay: { type: "string" },
+        // Boot options
+        boot: { type: "string" },
+        kernel: { type: "string" },
+        initrd: { type: "string" },
+        append: { type: "string" },
+        loadstate: { type: "string" },
+        savestate: { type: "string" },
+        autosave: { type: "boolean", default: false },
+        // System options
+        v86dir: { type: "string", default: path.join(__dirname, "../v86") },
+        libv86: { type: "string" },
+        v86wasm: { type: "string" },
+        bios: { type: "string" },
+        vgabios: { type: "string" },
+        locale: { type: "string", default: "us" },
+        keymap: { type: "string" },
+        "paste-delay": { type: "string", default: "10" },
+        mouse: { type: "boolean", default: false },
+        acpi: { type: "boolean", default: false },
+        fastboot: { type: "boolean", default: false },
+        loglevel: { type: "string", default: "0" },
+        // Network options
+        netdev: { type: "string" },
+        // VirtFS options
+        virtfs: { type: "string" },
+        // Serial port options
+        serial: { type: "string" },
+        // Monitor options
+        escape: { type: "string", default: "ctrl+a" },
+        // Remote terminal options
+        listen: { type: "string" },
+        headless: { type: "boolean", default: false },
+        // Display options
+        display: { type: "string", default: "line" },
+        color: { type: "string", default: "auto" },
+        codepage: { type: "string", default: "cp437" },
+        graphics: { type: "string", default: "blocks" },
+        "graphics-fps": { type: "string", default: "10" },
+        overflow: { type: "string", default: "wrap" },
+        statusbar: { type: "boolean", default: false },
+        // Other options
+        verbose: { type: "boolean", default: false },
+        debug_v86: { type: "boolean", default: false },
+        debug_screenshots: { type: "boolean", default: false },
+        // Scripting options
+        script: { type: "string" },
+        // Recording options
+        log: { type: "string" },
+        "log-timestamps": { type: "boolean", default: false },
+        record: { type: "string" },
+        "dump-on-exit": { type: "string" },
+        "dump-format": { type: "string", default: "text" },
+        "snapshots-dir": { type: "string" },
+        // Configuration options
+        config: { type: "string" },
+        profile: { type: "string", default: "default" },
+        "print-config": { type: "boolean", default: false },
+        // Standard options
+        help: { type: "boolean", short: "h" },
+        version: { type: "boolean", short: "v" },
+    };
+    const { values, tokens } = parseArgs({
         args: normalized_args,
         strict: true,
-        options: {
-            // Memory options
-            mem: { type: "string", short: "m", default: "512M" },
-            vgamem: { type: "string", default: "64M" },
-            // Storage options
-            hda: { type: "string" },
-            hdb: { type: "string" },
-            fda: { type: "string" },
-            fdb: { type: "string" },
-            cdrom: { type: "string" },
-            // Boot options
-            boot: { type: "string", default: "c" },
-            kernel: { type: "string" },
-            initrd: { type: "string" },
-            append: { type: "string" },
-            // System options
-            v86dir: { type: "string", default: path.join(__dirname, "../v86") },
-            libv86: { type: "string" },
-            v86wasm: { type: "string" },
-            bios: { type: "string" },
-            vgabios: { type: "string" },
-            locale: { type: "string" },
-            acpi: { type: "boolean", default: false },
-            fastboot: { type: "boolean", default: false },
-            loglevel: { type: "string", default: "0" },
-            // Network options
-            netdev: { type: "string" },
-            // VirtFS options
-            virtfs: { type: "string" },
-            // Other options
-            verbose: { type: "boolean", default: false },
-            debug_v86: { type: "boolean", default: false },
-            debug_screenshots: { type: "boolean", default: false },
-            // Standard options
-            help: { type: "boolean", short: "h" },
-            version: { type: "boolean", short: "v" },
-        }
+        tokens: true,
+        options: cli_options
     });
 
     if(values.help)
@@ -401,12 +166,22 @@ function parse_cli()
         console.log("  -fda FILE             Floppy disk A image");
         console.log("  -fdb FILE             Floppy disk B image");
         console.log("  -cdrom FILE           CD-ROM image");
+        console.log("  -snapshot             Discard the guest's writes to the hard disks, by default they are");
+        console.log("                        written to the -hda and -hdb FILEs when the session ends or");
+        console.log("                        once 64 MiB of them are held in memory");
+        console.log("  -overlay FILE         Write changes of the -hda FILE to overlay FILE instead, it is");
+        console.log("                        created if it does not exist, the -hda FILE stays unmodified");
         console.log("");
         console.log("Boot options:");
-        console.log("  -boot ORDER           Boot order (a,b,c,d,n) (default: c)");
+        console.log("  -boot ORDER           Boot order of up to three devices a (floppy), c (hard disk),");
+        console.log("                        d (CD-ROM), n (network), for example dc, b is the same as a");
+        console.log("                        (default: chosen by V86)");
         console.log("  -kernel FILE          Linux kernel image (bzImage)");
         console.log("  -initrd FILE          Initial ramdisk image");
         console.log("  -append STRING        Kernel command line");
+        console.log("  -loadstate FILE       Start from saved emulator state FILE instead of booting");
+        console.log("  -savestate FILE       Save emulator state to FILE when the session ends");
+        console.log("  -autosave             Save emulator state back to the -loadstate FILE when the session ends");
         console.log("");
         console.log("System options:");
         console.log("  -v86dir PATH          V86 installation directory (default: ../v86)");
@@ -414,15 +189,76 @@ function parse_cli()
         console.log("  -v86wasm FILE         V86 wasm file path (default: <v86dir>/build/v86.wasm)");
         console.log("  -bios FILE            BIOS image file (default: <v86dir>/bios/seabios.bin)");
         console.log("  -vgabios FILE         VGA BIOS image file (default: <v86dir>/bios/vgabios.bin)");
-        console.log("  -locale STRING        Locale region, one of us, uk, de (default: us)");
+        console.log("  -locale STRING        Keyboard layout of the guest, one of us, uk, de, ch, fr, es, it,");
+        console.log("                        pt, se, fi, no, dk, pl (default: us)");
+        console.log("  -keymap FILE          JSON file that maps host key sequences to guest key chords");
+        console.log("  -paste-delay MSEC     Delay after each character of text pasted into the terminal,");
+        console.log("                        raise it if the guest drops pasted characters (default: 10)");
+        console.log("  -mouse                Pass mouse clicks, drags and wheel in the terminal to the guest's");
+        console.log("                        PS/2 mouse (default: off)");
         console.log("  -acpi                 Enable ACPI (default: off)");
         console.log("  -fastboot             Enable fast boot");
         console.log("");
         console.log("Network options:");
-        console.log("  -netdev CONFIG        Network device configuration");
+        console.log("  -netdev CONFIG        Network device configuration, one of");
+        console.log("                        user[,type=ne2k|virtio][,relay_url=URL][,hostfwd=RULE]...");
+        console.log("                        loopback[,type=ne2k|virtio][,hostfwd=RULE]...");
+        console.log("                        none");
+        console.log("                        user without relay_url and loopback use the built-in virtual");
+        console.log("                        network, loopback without access to the outside world,");
+        console.log("                        RULE is tcp:[HOSTADDR]:HOSTPORT-:GUESTPORT and forwards");
+        console.log("                        HOSTADDR:HOSTPORT to the guest's GUESTPORT (default");
+        console.log("                        HOSTADDR: 127.0.0.1)");
         console.log("");
         console.log("VirtFS options:");
-        console.log("  -virtfs CONFIG        VirtFS configuration");
+        console.log("  -virtfs CONFIG        VirtFS configuration, one of");
+        console.log("                        local,path=DIR[,mount_tag=TAG][,readonly]");
+        console.log("                        proxy,URL");
+        console.log("                        local shares host directory DIR with the guest, mount it with");
+        console.log("                        mount -t 9p -o trans=virtio TAG /mnt (default TAG: host9p)");
+        console.log("");
+        console.log("Serial port options:");
+        console.log("  -serial DEV           Connect COM1 to stdio, vga+stdio or file:PATH, with stdio the");
+        console.log("                        serial port replaces the VGA screen, CTRL+] switches input focus");
+        console.log("");
+        console.log("Monitor options:");
+        console.log("  -escape KEY           Key that opens the monitor prompt, CTRL+A to CTRL+Z or one of");
+        console.log("                        CTRL+\\, CTRL+], CTRL+^, CTRL+_ (default: ctrl+a), CTRL+] not");
+        console.log("                        with -serial stdio or vga+stdio, it switches input focus");
+        console.log("");
+        console.log("Remote terminal options:");
+        console.log("  -listen ADDRESSES     Share the terminal with remote terminals, comma-separated list of");
+        console.log("                        tcp:[HOST:]PORT (telnet) and ws:[HOST:]PORT (WebSocket), followed by");
+        console.log("                        readonly or control (the first client connected may type) and");
+        console.log("                        origin=ORIGIN for each web page that may connect to ws: addresses");
+        console.log("                        (default HOST: 127.0.0.1, default mode: readonly)");
+        console.log("  -headless             Don't use the local terminal, needs -listen, SIGINT or SIGTERM");
+        console.log("                        ends the session");
+        console.log("");
+        console.log("Display options:");
+        console.log("  -display MODE         Display mode, one of line, fullscreen (default: line)");
+        console.log("  -color WHEN           Show VGA text colors, one of never, auto, always (default: auto)");
+        console.log("  -codepage NAME        VGA code page, one of cp437, cp850, cp852, cp858, cp866 (default: cp437)");
+        console.log("  -graphics FORMAT      Graphics mode output, one of none, blocks, sixel (default: blocks)");
+        console.log("  -graphics-fps N       Maximum graphics frames per second (default: 10)");
+        console.log("  -overflow MODE        Line mode output of rows wider than the terminal, one of wrap,");
+        console.log("                        truncate, scroll (truncate, but show the end of the last row)");
+        console.log("                        (default: wrap), full-screen mode truncates rows");
+        console.log("  -statusbar            Show emulator speed, video mode, uptime, input focus and disk and");
+        console.log("                        network activity in the bottom row of the terminal");
+        console.log("");
+        console.log("Scripting options:");
+        console.log("  -script FILE          Run script FILE, stdin may be a non-TTY in this mode");
+        console.log("");
+        console.log("Recording options:");
+        console.log("  -log FILE             Append captured lines as plain text to FILE");
+        console.log("  -log-timestamps       Prefix each line in the -log FILE with a timestamp");
+        console.log("  -record FILE          Write asciinema v2 recording of the session to FILE (.cast)");
+        console.log("  -dump-on-exit FILE    Write the VGA text screen and cursor position to FILE when the");
+        console.log("                        session ends and when vga2tty receives signal SIGUSR1");
+        console.log("  -dump-format FORMAT   Format of screen dumps, one of text, ansi, html (default: text)");
+        console.log("  -snapshots-dir DIR    Write a numbered screen dump to DIR each time the screen becomes");
+        console.log("                        idle, and on SIGUSR1 if there is no -dump-on-exit FILE");
         console.log("");
         console.log("Debugging options:");
         console.log("  -verbose              Show additional output");
@@ -430,6 +266,12 @@ function parse_cli()
         console.log("  -debug_v86            Run V86 in debug mode");
         console.log("  -debug_screenshots    Show VGA screenshots instead of normal output");
         console.log("");
+        console.log("Configuration options:");
+        console.log("  -config FILE          Read options from a profile in JSON file FILE, command line");
+        console.log("                        options override the profile's options");
+        console.log("  -profile NAME         Name of the profile in the -config FILE (default: default)");
+        console.log("  -print-config         Print the resulting V86 configuration and exit");
+        console.log("");
         console.log("Standard options:");
         console.log("  -h, --help            Show help");
         console.log("  -v, --version         Show version");
@@ -437,8 +279,13 @@ function parse_cli()
         console.log("Examples:");
         console.log("  vga2tty.js -hda disk.img");
         console.log("  vga2tty.js -m 1G -hda disk.img -cdrom boot.iso");
+        console.log("  vga2tty.js -hda golden.img -overlay changes.ovl");
         console.log("  vga2tty.js -kernel vmlinuz -initrd initrd.img -append \"console=ttyS0\"");
         console.log("  vga2tty.js -hda disk.img -netdev user,type=virtio,relay_url=ws://localhost:8777");
+        console.log("  vga2tty.js -hda disk.img -netdev user,type=virtio,hostfwd=tcp::2222-:22");
+        console.log("  vga2tty.js -hda disk.img -virtfs local,path=build,mount_tag=host0");
+        console.log("  vga2tty.js -config profiles.json -profile dos -display fullscreen");
+        console.log("  vga2tty.js -hda disk.img -headless -listen tcp:2323,ws:8080,control");
         console.log("");
         process.exit(0);
     }
@@ -448,6 +295,106 @@ function parse_cli()
         process.exit(0);
     }
 
+    // options of the -config FILE profile apply unless they were given on the command line
+    if(values.config)
+    {
+        const cli_names = new Set(tokens.filter(token => token.kind === "option").map(token => token.name));
+        for(const [name, value] of Object.entries(load_profile(values.config, values.profile, cli_options)))
+        {
+            if(!cli_names.has(name))
+            {
+                values[name] = value;
+            }
+        }
+    }
+
+    if(values.display !== "line" && values.display !== "fullscreen")
+    {
+        throw new Error(`Invalid display mode: ${values.display}`);
+    }
+    if(values.serial && !/^(stdio|vga\+stdio|file:.+)$/.test(values.serial))
+    {
+        throw new Error(`Invalid serial device: ${values.serial}`);
+    }
+    if(!["never", "auto", "always"].includes(values.color))
+    {
+        throw new Error(`Invalid color mode: ${values.color}`);
+    }
+    if(!["none", "blocks", "sixel"].includes(values.graphics))
+    {
+        throw new Error(`Invalid graphics format: ${values.graphics}`);
+    }
+    if(!["wrap", "truncate", "scroll"].includes(values.overflow))
+    {
+        throw new Error(`Invalid overflow mode: ${values.overflow}`);
+    }
+    if(!ScreenDump.FORMATS.includes(values["dump-format"]))
+    {
+        throw new Error(`Invalid screen dump format: ${values["dump-format"]}`);
+    }
+    if(!CodePage.NAMES.includes(values.codepage))
+    {
+        throw new Error(`Invalid code page: ${values.codepage}`);
+    }
+    if(!KeyboardLayout.NAMES.includes(values.locale))
+    {
+        throw new Error(`Invalid locale: ${values.locale}`);
+    }
+    if(values.overlay && !values.hda)
+    {
+        throw new Error("Option -overlay needs -hda");
+    }
+    if(values.autosave && !values.loadstate)
+    {
+        throw new Error("Option -autosave needs -loadstate");
+    }
+    const listen = [];
+    let listen_control = false;
+    const listen_origins = [];
+    for(const part of values.listen ? values.listen.split(",") : [])
+    {
+        const match = part.match(/^(tcp|ws):(?:(.*):)?(\d+)$/);
+        if(match)
+        {
+            listen.push({ protocol: match[1], host: match[2] || "127.0.0.1", port: parseInt(match[3], 10) });
+        }
+        else if(part === "readonly" || part === "control")
+        {
+            listen_control = part === "control";
+        }
+        else if(part.startsWith("origin="))
+        {
+            listen_origins.push(part.slice("origin=".length));
+        }
+        else
+        {
+            throw new Error(`Invalid listen address: ${part}`);
+        }
+    }
+    if(values.headless && !listen.length)
+    {
+        throw new Error("Option -headless needs -listen");
+    }
+    const escape_key = Monitor.escape_key_sequence(values.escape);
+    if(escape_key === undefined)
+    {
+        throw new Error(`Invalid escape key: ${values.escape}`);
+    }
+    else if(escape_key === Monitor.escape_key_sequence("ctrl+]") && values.serial?.endsWith("stdio"))
+    {
+        throw new Error(`Invalid escape key: ${values.escape}, it switches input focus with -serial ${values.serial}`);
+    }
+    const paste_delay = Number(values["paste-delay"]);
+    if(!(paste_delay >= 0))
+    {
+        throw new Error(`Invalid paste delay: ${values["paste-delay"]}`);
+    }
+    const graphics_fps = parseFloat(values["graphics-fps"]);
+    if(!(graphics_fps > 0))
+    {
+        throw new Error(`Invalid graphics frame rate: ${values["graphics-fps"]}`);
+    }
+
     // build v86_config
     const v86_config = {
         wasm_path: values.v86wasm || path.join(values.v86dir, "build", values.debug_v86 ? "v86-debug.wasm" : "v86.wasm"),
@@ -490,38 +437,113 @@ function parse_cli()
         }
     };
     const v86_config_assign_bootorder = (argv_name, v86_name) => {
-        if(values[argv_name] && values[argv_name] !== "c") {
-            const bootMap = {
-                "a": 0x01, // Floppy A
-                "b": 0x02, // Floppy B
-                "c": 0x80, // Hard disk
-                "d": 0x81, // CD-ROM
-                "n": 0x82, // Network
+        if(values[argv_name]) {
+            // SeaBIOS boot devices: 1 floppy, 2 hard disk, 3 CD-ROM, 4 network, the first one
+            // to boot from is in the lowest nibble of V86's boot_order
+            const boot_devices = {
+                "a": 0x1,
+                "b": 0x1,
+                "c": 0x2,
+                "d": 0x3,
+                "n": 0x4
             };
-            // For now, just return the first boot device
-            // V86 uses different boot order values than qemu
-            const firstChar = bootStr?.charAt(0);
-            v86_config[v86_name || argv_name] = bootMap[firstChar] || 0x80; // Default to hard disk
+            const letters = [...values[argv_name]];
+            if(letters.length > 3 || letters.some(letter => !boot_devices[letter]) || new Set(letters).size !== letters.length)
+            {
+                throw new Error(`Invalid boot order: ${values[argv_name]}`);
+            }
+            // a and b both stand for the floppy drive, it is in the boot order once
+            const devices = [...new Set(letters.map(letter => boot_devices[letter]))];
+            v86_config[v86_name || argv_name] = devices.reduce((boot_order, device, i) => boot_order | device << 4 * i, 0);
         }
     };
+    const hostfwd = [];
+    let net_loopback = false;
     const v86_config_assign_net_device = (argv_name, v86_name) => {
         if(values[argv_name]) {
             const parts = values[argv_name].split(",");
             const mode = parts.shift();
-            if(mode === "user") {
-                v86_config[v86_name || argv_name] = Object.fromEntries(parts.map(item => item.split("=")));
+            if(mode === "user" || mode === "loopback") {
+                const net_device = {};
+                for(const part of parts) {
+                    const [key, ...value_parts] = part.split("=");
+                    const value = value_parts.join("=");
+                    if(key === "hostfwd") {
+                        const match = value.match(/^(tcp)?:([^:]*):(\d+)-([^:]*):(\d+)$/);
+                        if(!match)
+                        {
+                            throw new Error(`Invalid hostfwd rule: ${value}`);
+                        }
+                        if(match[4])
+                        {
+                            // the guest has the only address in the virtual network
+                            throw new Error(`Invalid hostfwd rule: ${value}, leave out the guest address`);
+                        }
+                        hostfwd.push({ host_addr: match[2] || "127.0.0.1", host_port: parseInt(match[3], 10), guest_port: parseInt(match[5], 10) });
+                    }
+                    else if(key === "id" || key === "mtu") {
+                        net_device[key] = parseInt(value, 10);
+                    }
+                    else if(key === "masquerade") {
+                        net_device[key] = value !== "false" && value !== "off";
+                    }
+                    else {
+                        net_device[key] = value;
+                    }
+                }
+                if(mode === "loopback" && net_device.relay_url)
+                {
+                    throw new Error("Network mode loopback does not use a relay_url");
+                }
+                // without relay_url the guest is connected to V86's built-in virtual network
+                net_device.relay_url = net_device.relay_url || "fetch";
+                if(hostfwd.length && net_device.relay_url !== "fetch")
+                {
+                    throw new Error("Option hostfwd needs the built-in virtual network, remove relay_url");
+                }
+                net_loopback = mode === "loopback";
+                v86_config[v86_name || argv_name] = net_device;
+            }
+            else if(mode !== "none") {
+                throw new Error(`Invalid network mode: ${mode}`);
             }
         }
     };
+    let virtfs;
     const v86_config_assign_virtfs = (argv_name, v86_name) => {
         if(values[argv_name]) {
-            const filesystem = {};
             const parts = values[argv_name].split(",");
             const mode = parts.shift();
             if(mode === "proxy") {
-                filesystem.proxy_url = parts.shift();
+                v86_config[v86_name || argv_name] = { proxy_url: parts.shift() };
+            }
+            else if(mode === "local") {
+                // the session serves the directory to the guest with a Local9pServer
+                virtfs = {};
+                for(const part of parts) {
+                    const [key, ...value_parts] = part.split("=");
+                    const value = value_parts.join("=");
+                    if(key === "path") {
+                        virtfs.path = path.resolve(value);
+                    }
+                    else if(key === "mount_tag") {
+                        virtfs.mount_tag = value;
+                    }
+                    else if(key === "readonly" && value === "") {
+                        virtfs.readonly = true;
+                    }
+                    else {
+                        throw new Error(`Invalid virtfs option: ${part}`);
+                    }
+                }
+                if(!virtfs.path)
+                {
+                    throw new Error("VirtFS mode local needs a path");
+                }
+            }
+            else {
+                throw new Error(`Invalid virtfs mode: ${mode}`);
             }
-            v86_config[v86_name || argv_name] = filesystem;
         }
     };
 
@@ -534,6 +556,7 @@ function parse_cli()
     v86_config_assign_image_url("cdrom");
     v86_config_assign_image_url("kernel", "bzimage");
     v86_config_assign_image_url("initrd");
+    v86_config_assign_image_url("loadstate", "initial_state");
     v86_config_assign_value("append", "cmdline");
     v86_config_assign_bootorder("boot", "boot_order");
     v86_config_assign_value("acpi");
@@ -548,54 +571,61 @@ function parse_cli()
         libv86: values.libv86 || path.join(values.v86dir, values.debug_v86 ? "src/main.js" : "build/libv86.mjs"),
         debug_v86: values.debug_v86,
         debug_screenshots: values.debug_screenshots,
+        fullscreen: values.display === "fullscreen",
+        serial: values.serial,
+        script: values.script,
+        log: values.log,
+        log_timestamps: values["log-timestamps"],
+        record: values.record,
+        dump_on_exit: values["dump-on-exit"],
+        dump_format: values["dump-format"],
+        snapshots_dir: values["snapshots-dir"],
+        color: AnsiColors.enabled(values.color),
+        codepage: values.codepage,
+        graphics: values.graphics,
+        graphics_fps: graphics_fps,
+        overflow: values.overflow,
+        statusbar: values.statusbar,
+        locale: values.locale,
+        keymap: values.keymap,
+        paste_delay: paste_delay,
+        mouse: values.mouse,
+        escape_key: escape_key,
+        listen: listen,
+        listen_control: listen_control,
+        listen_origins: listen_origins,
+        headless: values.headless,
+        disk_mode: values.snapshot ? "snapshot" : "writeback",
+        overlay: values.overlay && path.resolve(values.overlay),
+        hostfwd: hostfwd,
+        net_loopback: net_loopback,
+        virtfs: virtfs,
+        savestate: values.savestate || (values.autosave ? values.loadstate : undefined),
+        print_config: values["print-config"],
         verbose: values.verbose
     };
 }
 
 async function main(setup)
 {
-    const ANSI_ERASE_TO_EOL = "\u001b[K";
-
-    // create VgaObserver instance
-    const rows_handler = (rows, start, end, all_new) => {
-        let output = [all_new ? "\n" : "\r"];
-        for(let i = start; i < end - 1; i++)
-        {
-            output.push(rows[i], "\n");
-        }
-        output.push(rows[end - 1].trimRight(), ANSI_ERASE_TO_EOL);
-        process.stdout.write(output.join(""));
-    };
-    const vga_observer = new VgaObserver(rows_handler, setup.debug_screenshots);
-
-    // create StdinHandler instance
-    const ctrl_c_handler = ctrl_c_count => {
-        if(ctrl_c_count === 0)
-        {
-            process.stdout.write("\nPress CTRL+C again to exit\n");
-        }
-        else
-        {
-            process.stdout.write("Terminated by user\n");
-            emulator.stop();
-        }
-    };
-    const stdin_handler = new StdinHandler(ctrl_c_handler);
-
-    // create V86 instance
-    const emulator = new V86(setup.v86_config);
-
-    // wait for emulator to start
-    await new Promise(resolve => emulator.bus.register("emulator-started", () => resolve()));
-
-    vga_observer.start(emulator);
-    stdin_handler.start(emulator);
-
-    // wait for emulator to stop
-    await new Promise(resolve => emulator.bus.register("emulator-stopped", () => resolve()));
-    vga_observer.stop();
-    stdin_handler.stop();
-    await emulator.destroy();
+    const session = new Vga2TtySession();
+    await session.start({ ...setup, tty: true });
+    // write back disks, state and screen dump before the process exits, exit code is 128 + signal number
+    const signal_handler = signal => session.end_session(128 + os.constants.signals[signal], `Terminated by ${signal}`);
+    for(const signal of EXIT_SIGNALS)
+    {
+        process.once(signal, signal_handler);
+    }
+    const exit_code = await session.waitForExit();
+    for(const signal of EXIT_SIGNALS)
+    {
+        process.removeListener(signal, signal_handler);
+    }
+    if(session.exit_message)
+    {
+        console.error("\n" + session.exit_message);
+    }
+    process.exitCode = exit_code;
 }
 
 const setup = parse_cli();
@@ -604,11 +634,16 @@ if(setup.verbose)
     console.log("setup:", setup);
 }
 
-if(!process.stdin.isTTY)
+if(setup.print_config)
+{
+    console.log(JSON.stringify(new Vga2TtySession().getV86Config(setup), null, 4));
+    process.exit(0);
+}
+
+if(!process.stdin.isTTY && !setup.script && !setup.headless)
 {
     console.error("error: stdin is not a TTY, aborting");
     process.exit(1);
 }
 
-const V86 = (await import(setup.libv86)).V86;
 await main(setup);